@@ -0,0 +1,109 @@
+const express = require('express');
+const adminAuth = require('./middleware/adminAuth');
+const { normalizeEndpoint, validateEndpoint } = require('./config/config');
+
+// HTTP status for errors raised by WorkerPool.addEndpoint
+const ERROR_STATUS = {
+  ENDPOINT_EXISTS: 409,
+  CHAIN_ID_MISMATCH: 422
+};
+
+/**
+ * Create the admin API router (list, add, disable, enable, drain and remove endpoints)
+ * Changes are persisted in the endpoints table and restored on restart
+ */
+function createAdminRouter(chainManager, config) {
+  const router = express.Router();
+
+  router.use(adminAuth(config.admin.token));
+
+  // List endpoints of every chain
+  router.get('/endpoints', (req, res) => {
+    const endpoints = chainManager.getChains().flatMap(chain =>
+      chain.workerPool.getAllWorkers().map(worker => ({ chain: chain.name, ...worker.getStatus() }))
+    );
+    res.json({ endpoints });
+  });
+
+  // Add an endpoint: { chain?, url, ...endpoint settings as in the config file }
+  router.post('/endpoints', async (req, res) => {
+    const { chain: chainName, ...entry } = req.body || {};
+    const chains = chainManager.getChains();
+    const chain = chainName
+      ? chains.find(c => c.name === chainName)
+      : (chains.length === 1 ? chains[0] : null);
+
+    if (!chain) {
+      return res.status(chainName ? 404 : 400).json({
+        error: chainName ? `Unknown chain: ${chainName}` : 'chain is required when several chains are configured'
+      });
+    }
+
+    let endpoint;
+    try {
+      endpoint = normalizeEndpoint(entry);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const problems = validateEndpoint(endpoint, config.computeUnits.costTables);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems.join('; ') });
+    }
+
+    try {
+      const worker = await chain.workerPool.addEndpoint(endpoint);
+      res.status(201).json({ chain: chain.name, ...worker.getStatus() });
+    } catch (error) {
+      const status = ERROR_STATUS[error.code];
+      if (!status) {
+        console.error('Error adding endpoint:', error);
+      }
+      res.status(status || 500).json({ error: error.message });
+    }
+  });
+
+  router.post('/endpoints/:id/disable', withWorker(chainManager, (req, res, { chain, worker }) => {
+    chain.workerPool.setEndpointEnabled(worker, false);
+    res.json({ chain: chain.name, ...worker.getStatus() });
+  }));
+
+  router.post('/endpoints/:id/enable', withWorker(chainManager, (req, res, { chain, worker }) => {
+    chain.workerPool.setEndpointEnabled(worker, true);
+    res.json({ chain: chain.name, ...worker.getStatus() });
+  }));
+
+  // Drain in the background; the endpoint disappears from the list once its queue is empty
+  router.post('/endpoints/:id/drain', withWorker(chainManager, (req, res, { chain, worker }) => {
+    if (!worker.draining) {
+      chain.workerPool.drainEndpoint(worker).catch(error => {
+        console.error(`Error draining ${worker.name}:`, error);
+      });
+    }
+    res.status(202).json({ chain: chain.name, ...worker.getStatus() });
+  }));
+
+  router.delete('/endpoints/:id', withWorker(chainManager, (req, res, { chain, worker }) => {
+    chain.workerPool.removeEndpoint(worker);
+    res.json({ chain: chain.name, id: worker.endpointId, url: worker.url, removed: true });
+  }));
+
+  return router;
+}
+
+/**
+ * Resolve the :id route parameter to a worker, or respond 404
+ */
+function withWorker(chainManager, handler) {
+  return (req, res) => {
+    const found = chainManager.findWorker(Number(req.params.id));
+    if (!found) {
+      return res.status(404).json({ error: `Unknown endpoint: ${req.params.id}` });
+    }
+    handler(req, res, found);
+  };
+}
+
+module.exports = {
+  createAdminRouter
+};
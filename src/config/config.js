@@ -1,14 +1,39 @@
 const fs = require('fs');
 const path = require('path');
+const { STRATEGIES } = require('../core/strategies');
+
+const CONFIG_PATH = path.join(__dirname, '../../config/config.json');
 
 /**
- * Load configuration from config/config.json
- * Falls back to defaults if file doesn't exist
+ * Load configuration from config/config.json (the defaults if the file doesn't exist)
+ * Throws if the file can't be parsed or fails validation, so a broken file stops
+ * startup instead of serving the default public endpoints
  */
 function loadConfig() {
-  const configPath = path.join(__dirname, '../../config/config.json');
+  try {
+    return readConfig();
+  } catch (error) {
+    throw new Error(`Could not load ${CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+/**
+ * Read, normalize and validate config/config.json merged over the defaults
+ * Throws if the file can't be parsed or fails validation
+ */
+function readConfig() {
+  const fileConfig = fs.existsSync(CONFIG_PATH)
+    ? JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'))
+    : {};
+
+  return validateConfig(normalizeConfig(mergeDeep(getDefaultConfig(), fileConfig)));
+}
 
-  const defaultConfig = {
+/**
+ * Default configuration
+ */
+function getDefaultConfig() {
+  return {
     server: {
       port: 8545,
       host: '0.0.0.0'
@@ -25,29 +50,491 @@ function loadConfig() {
       backoffMultiplier: 2,
       historyWindowSize: 20
     },
+    rateBudget: {
+      enabled: true,
+      lookbackMs: 10000,
+      decreaseFactor: 0.7,
+      increaseStep: 0.5,
+      increaseInterval: 60000,
+      minRequestsPerSecond: 0.2,
+      historyDays: 7
+    },
     worker: {
       requestTimeout: 30000,
       maxQueueSize: 1000,
-      healthCheckInterval: 30000
+      healthCheckInterval: 30000,
+      maxConcurrency: 1,
+      requestsPerSecond: null
+    },
+    circuitBreaker: {
+      enabled: true,
+      failureThreshold: 5,
+      failureRatio: 0.5,
+      windowSize: 20,
+      openMs: 30000,
+      halfOpenSuccesses: 2
+    },
+    routing: {
+      maxBlockLag: 3,
+      headPollInterval: 12000,
+      headSensitiveMethods: [
+        'eth_blockNumber',
+        'eth_getBlockByNumber',
+        'eth_getBlockReceipts',
+        'eth_getBalance',
+        'eth_getCode',
+        'eth_getTransactionCount',
+        'eth_getStorageAt',
+        'eth_call',
+        'eth_estimateGas',
+        'eth_feeHistory'
+      ],
+      rules: [],
+      maxHoldMs: 60000,
+      deadlineHeader: 'x-rpc-deadline-ms',
+      strategy: 'shortest-queue',
+      strategyOverrides: []
+    },
+    cache: {
+      enabled: true,
+      maxEntries: 10000,
+      ttlMs: 3600000,
+      finalityDepth: 64,
+      disabledMethods: []
+    },
+    broadcast: {
+      enabled: true,
+      methods: ['eth_sendRawTransaction', 'eth_sendRawTransactionConditional'],
+      tags: []
+    },
+    quorum: {
+      methods: [],
+      size: 3,
+      threshold: 2,
+      header: 'x-rpc-quorum'
+    },
+    priority: {
+      classes: ['high', 'normal', 'low'],
+      default: 'normal',
+      header: 'x-rpc-priority',
+      agingMs: 5000,
+      rules: [],
+      maxQueueSize: {}
+    },
+    batch: {
+      enabled: true,
+      maxBatchSize: 50,
+      minChunkSize: 10
+    },
+    computeUnits: {
+      costTables: {},
+      deprioritizeAt: 0.8
+    },
+    coalescing: {
+      enabled: true,
+      excludeMethods: [
+        'eth_newFilter',
+        'eth_newBlockFilter',
+        'eth_newPendingTransactionFilter',
+        'eth_getFilterChanges'
+      ]
+    },
+    capabilities: {
+      enabled: true,
+      reprobeInterval: 21600000
+    },
+    websocket: {
+      enabled: true,
+      pollInterval: 4000,
+      maxBlocksPerPoll: 10
+    },
+    admin: {
+      token: null
+    },
+    apiKeys: {
+      enabled: false,
+      header: 'x-api-key',
+      queryParam: 'apiKey',
+      keys: {}
+    },
+    hotReload: {
+      enabled: true,
+      debounceMs: 500
+    },
+    statistics: {
+      flushInterval: 1000,
+      saveInterval: 5000,
+      maxBufferSize: 10000,
+      maxFlushAttempts: 3
+    },
+    retention: {
+      requestLogDays: 7,
+      minuteRollupDays: 2,
+      hourRollupDays: 90,
+      pruneInterval: 3600000
     },
     database: {
       path: './data/statistics.db',
       enableWAL: true
     }
   };
+}
 
-  try {
-    if (fs.existsSync(configPath)) {
-      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      // Deep merge with defaults
-      return mergeDeep(defaultConfig, fileConfig);
+/**
+ * Normalize config sections that accept several shapes
+ * A flat endpoints list (no chains section) becomes a single chain served at /
+ */
+function normalizeConfig(config) {
+  if (!isObject(config.chains) || Object.keys(config.chains).length === 0) {
+    config.chains = {
+      default: { endpoints: config.endpoints, path: '/' }
+    };
+  }
+  delete config.endpoints;
+
+  Object.entries(config.chains).forEach(([name, chain]) => {
+    if (!Array.isArray(chain.endpoints)) {
+      throw new Error(`Chain ${name} has no endpoints list`);
     }
-  } catch (error) {
-    console.log(`Warning: Could not load config file: ${error.message}`);
-    console.log('Using default configuration');
+    chain.name = name;
+    chain.path = chain.path || `/${name}`;
+    chain.endpoints = chain.endpoints.map(normalizeEndpoint);
+  });
+
+  return config;
+}
+
+/**
+ * Normalize an endpoint entry
+ * Accepts a bare URL string or an object with a url and per-endpoint limits
+ */
+function normalizeEndpoint(entry) {
+  if (typeof entry === 'string') {
+    return { url: entry };
+  }
+
+  if (!isObject(entry) || typeof entry.url !== 'string') {
+    throw new Error(`Invalid endpoint entry: ${JSON.stringify(entry)}`);
+  }
+
+  return { ...entry };
+}
+
+/**
+ * Check settings that would break workers or routing if wrong
+ * Returns the config, throws with every problem found
+ */
+function validateConfig(config) {
+  const problems = [];
+  const positive = {
+    'server.port': config.server.port,
+    'rateLimit.minCooldownMs': config.rateLimit.minCooldownMs,
+    'rateLimit.maxCooldownMs': config.rateLimit.maxCooldownMs,
+    'rateLimit.backoffMultiplier': config.rateLimit.backoffMultiplier,
+    'rateLimit.historyWindowSize': config.rateLimit.historyWindowSize,
+    'rateBudget.lookbackMs': config.rateBudget.lookbackMs,
+    'rateBudget.increaseStep': config.rateBudget.increaseStep,
+    'rateBudget.increaseInterval': config.rateBudget.increaseInterval,
+    'rateBudget.minRequestsPerSecond': config.rateBudget.minRequestsPerSecond,
+    'rateBudget.historyDays': config.rateBudget.historyDays,
+    'worker.requestTimeout': config.worker.requestTimeout,
+    'worker.maxQueueSize': config.worker.maxQueueSize,
+    'worker.healthCheckInterval': config.worker.healthCheckInterval,
+    'worker.maxConcurrency': config.worker.maxConcurrency,
+    'circuitBreaker.failureThreshold': config.circuitBreaker.failureThreshold,
+    'circuitBreaker.windowSize': config.circuitBreaker.windowSize,
+    'circuitBreaker.openMs': config.circuitBreaker.openMs,
+    'circuitBreaker.halfOpenSuccesses': config.circuitBreaker.halfOpenSuccesses,
+    'routing.headPollInterval': config.routing.headPollInterval,
+    'capabilities.reprobeInterval': config.capabilities.reprobeInterval,
+    'batch.maxBatchSize': config.batch.maxBatchSize,
+    'batch.minChunkSize': config.batch.minChunkSize,
+    'websocket.pollInterval': config.websocket.pollInterval,
+    'retention.pruneInterval': config.retention.pruneInterval,
+    'statistics.flushInterval': config.statistics.flushInterval,
+    'statistics.maxBufferSize': config.statistics.maxBufferSize,
+    'statistics.maxFlushAttempts': config.statistics.maxFlushAttempts
+  };
+
+  Object.entries(positive).forEach(([key, value]) => {
+    if (typeof value !== 'number' || !(value > 0)) {
+      problems.push(`${key} must be a positive number`);
+    }
+  });
+
+  const threshold = config.rateLimit.detectionThreshold;
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    problems.push('rateLimit.detectionThreshold must be between 0 and 1');
+  }
+
+  const decreaseFactor = config.rateBudget.decreaseFactor;
+  if (typeof decreaseFactor !== 'number' || !(decreaseFactor > 0) || decreaseFactor >= 1) {
+    problems.push('rateBudget.decreaseFactor must be between 0 and 1');
+  }
+
+  const failureRatio = config.circuitBreaker.failureRatio;
+  if (typeof failureRatio !== 'number' || !(failureRatio > 0) || failureRatio > 1) {
+    problems.push('circuitBreaker.failureRatio must be greater than 0 and at most 1');
+  }
+
+  const deprioritizeAt = config.computeUnits.deprioritizeAt;
+  if (typeof deprioritizeAt !== 'number' || !(deprioritizeAt > 0) || deprioritizeAt > 1) {
+    problems.push('computeUnits.deprioritizeAt must be greater than 0 and at most 1');
+  }
+  if (!isObject(config.computeUnits.costTables)) {
+    problems.push('computeUnits.costTables must map table names to cost tables');
+  } else {
+    Object.entries(config.computeUnits.costTables).forEach(([name, table]) => {
+      problems.push(...validateCostTable(table, `computeUnits.costTables.${name}`));
+    });
+  }
+
+  const saveInterval = config.statistics.saveInterval;
+  if (typeof saveInterval !== 'number' || saveInterval < 0) {
+    problems.push('statistics.saveInterval must be 0 (save after every flush) or a positive number');
   }
 
-  return defaultConfig;
+  ['requestLogDays', 'minuteRollupDays', 'hourRollupDays'].forEach(key => {
+    const days = config.retention[key];
+    if (days !== null && (typeof days !== 'number' || !(days > 0))) {
+      problems.push(`retention.${key} must be a positive number or null (keep forever)`);
+    }
+  });
+
+  const maxHoldMs = config.routing.maxHoldMs;
+  if (maxHoldMs !== null && (typeof maxHoldMs !== 'number' || !(maxHoldMs > 0))) {
+    problems.push('routing.maxHoldMs must be a positive number or null (no limit)');
+  }
+
+  if (config.rateLimit.minCooldownMs > config.rateLimit.maxCooldownMs) {
+    problems.push('rateLimit.minCooldownMs must not exceed rateLimit.maxCooldownMs');
+  }
+
+  if (!Array.isArray(config.routing.rules)) {
+    problems.push('routing.rules must be a list');
+  } else {
+    config.routing.rules.forEach((rule, i) => {
+      if (!Array.isArray(rule.methods) || !Array.isArray(rule.tags)) {
+        problems.push(`routing.rules[${i}] needs methods and tags lists`);
+      }
+    });
+  }
+
+  const overrides = Array.isArray(config.routing.strategyOverrides) ? config.routing.strategyOverrides : [];
+  const strategies = [config.routing.strategy, ...overrides.map(o => o.strategy)];
+  strategies.filter(name => !STRATEGIES[name]).forEach(name => {
+    problems.push(`Unknown routing strategy: ${name} (expected one of ${Object.keys(STRATEGIES).join(', ')})`);
+  });
+
+  if (!Array.isArray(config.routing.strategyOverrides)) {
+    problems.push('routing.strategyOverrides must be a list');
+  } else {
+    config.routing.strategyOverrides.forEach((override, i) => {
+      if (!Array.isArray(override.methods)) {
+        problems.push(`routing.strategyOverrides[${i}] needs a methods list`);
+      }
+    });
+  }
+
+  const quorum = config.quorum;
+  if (!Number.isInteger(quorum.size) || !Number.isInteger(quorum.threshold) || quorum.threshold < 1 || quorum.threshold > quorum.size) {
+    problems.push('quorum.size and quorum.threshold must be integers with 1 <= threshold <= size');
+  }
+
+  const priority = config.priority;
+  const classes = Array.isArray(priority.classes) ? priority.classes : [];
+  if (classes.length === 0 || new Set(classes).size !== classes.length) {
+    problems.push('priority.classes must be a non-empty list of distinct names');
+  }
+  if (!classes.includes(priority.default)) {
+    problems.push(`priority.default must be one of the priority classes (${classes.join(', ')})`);
+  }
+  if (typeof priority.agingMs !== 'number' || priority.agingMs < 0) {
+    problems.push('priority.agingMs must be a number >= 0 (0 disables aging)');
+  }
+  if (!Array.isArray(priority.rules)) {
+    problems.push('priority.rules must be a list');
+  } else {
+    priority.rules.forEach((rule, i) => {
+      if (!Array.isArray(rule.methods) || !classes.includes(rule.priority)) {
+        problems.push(`priority.rules[${i}] needs a methods list and a known priority`);
+      }
+    });
+  }
+  if (!isObject(priority.maxQueueSize)) {
+    problems.push('priority.maxQueueSize must map priority classes to queue sizes');
+  } else {
+    Object.entries(priority.maxQueueSize).forEach(([name, size]) => {
+      if (!classes.includes(name) || typeof size !== 'number' || !(size > 0)) {
+        problems.push(`priority.maxQueueSize.${name} must be a positive number for a known priority class`);
+      }
+    });
+  }
+
+  if (!isObject(config.apiKeys.keys)) {
+    problems.push('apiKeys.keys must map keys to their settings');
+  } else {
+    Object.entries(config.apiKeys.keys).forEach(([key, settings]) => {
+      const label = settings?.name || `${key.slice(0, 4)}...`;
+      if (!isObject(settings)) {
+        problems.push(`apiKeys.keys entry ${label} must be an object`);
+      } else if (settings.allowedMethods !== undefined && !Array.isArray(settings.allowedMethods)) {
+        problems.push(`apiKeys.keys entry ${label}: allowedMethods must be a list`);
+      } else if (settings.priority !== undefined && !classes.includes(settings.priority)) {
+        problems.push(`apiKeys.keys entry ${label}: unknown priority ${settings.priority}`);
+      }
+    });
+  }
+
+  const paths = new Set();
+  Object.values(config.chains).forEach(chain => {
+    if (chain.endpoints.length === 0) {
+      problems.push(`Chain ${chain.name} has no endpoints`);
+    }
+
+    const names = new Set();
+    const urls = new Set();
+    chain.endpoints.forEach(endpoint => {
+      problems.push(...validateEndpoint(endpoint, config.computeUnits.costTables));
+      const name = endpoint.name || endpoint.url;
+      if (names.has(name)) {
+        problems.push(`Chain ${chain.name} has more than one endpoint named ${name}`);
+      }
+      names.add(name);
+
+      // Endpoints are tracked by URL, so the same URL with different headers can't be told apart
+      if (urls.has(endpoint.url)) {
+        problems.push(`Chain ${chain.name} lists endpoint ${name} more than once; endpoints of a chain need distinct URLs`);
+      }
+      urls.add(endpoint.url);
+    });
+    if (paths.has(chain.path)) {
+      problems.push(`Chain ${chain.name} uses path ${chain.path} already taken by another chain`);
+    }
+    paths.add(chain.path);
+  });
+
+  // A key path segment (/<chain path>/<key>) must not be mistaken for another chain's path
+  if (config.apiKeys.enabled) {
+    const chains = Object.values(config.chains);
+    chains.forEach(chain => {
+      const parentPath = chain.path.slice(0, chain.path.lastIndexOf('/')) || '/';
+      const parent = chains.find(other => other !== chain && other.path === parentPath);
+      if (parent) {
+        problems.push(`Chain ${chain.name} path ${chain.path} would be read as an API key for chain ${parent.name} while API keys are enabled`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration: ${problems.join('; ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Check the optional settings of an endpoint entry
+ * costTables are the named compute unit cost tables a costTable name must refer to
+ * Returns the problems found
+ */
+function validateEndpoint(endpoint, costTables = {}) {
+  const problems = [];
+  const label = endpoint.name || endpoint.url;
+
+  ['timeout', 'weight', 'maxQueueSize', 'maxConcurrency', 'requestsPerSecond', 'maxBatchSize'].forEach(key => {
+    const value = endpoint[key];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value > 0))) {
+      problems.push(`Endpoint ${label}: ${key} must be a positive number`);
+    }
+  });
+
+  if (endpoint.name !== undefined && (typeof endpoint.name !== 'string' || endpoint.name === '')) {
+    problems.push(`Endpoint ${label}: name must be a non-empty string`);
+  }
+  if (endpoint.tags !== undefined && !Array.isArray(endpoint.tags)) {
+    problems.push(`Endpoint ${label}: tags must be a list`);
+  }
+  if (endpoint.headers !== undefined && (!isObject(endpoint.headers) || Object.values(endpoint.headers).some(v => typeof v !== 'string'))) {
+    problems.push(`Endpoint ${label}: headers must map header names to strings`);
+  }
+  if (endpoint.rateLimit !== undefined) {
+    const known = Object.keys(getDefaultConfig().rateLimit);
+    const unknown = isObject(endpoint.rateLimit)
+      ? Object.keys(endpoint.rateLimit).filter(key => !known.includes(key))
+      : null;
+    if (!unknown) {
+      problems.push(`Endpoint ${label}: rateLimit must be an object`);
+    } else if (unknown.length > 0) {
+      problems.push(`Endpoint ${label}: unknown rateLimit settings ${unknown.join(', ')}`);
+    }
+  }
+  if (endpoint.computeUnits !== undefined) {
+    const settings = endpoint.computeUnits;
+    if (!isObject(settings)) {
+      problems.push(`Endpoint ${label}: computeUnits must be an object`);
+    } else {
+      ['dailyCap', 'monthlyCap'].forEach(key => {
+        const value = settings[key];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || !(value > 0))) {
+          problems.push(`Endpoint ${label}: computeUnits.${key} must be a positive number`);
+        }
+      });
+      if (typeof settings.costTable === 'string') {
+        if (!isObject(costTables) || !costTables[settings.costTable]) {
+          problems.push(`Endpoint ${label}: unknown cost table ${settings.costTable}`);
+        }
+      } else if (settings.costTable !== undefined) {
+        problems.push(...validateCostTable(settings.costTable, `Endpoint ${label}: computeUnits.costTable`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a compute unit cost table ({ default, methods: { method or pattern: units } })
+ * Returns the problems found
+ */
+function validateCostTable(table, label) {
+  if (!isObject(table)) {
+    return [`${label} must be a cost table object`];
+  }
+
+  const problems = [];
+  if (table.default !== undefined && (typeof table.default !== 'number' || table.default < 0)) {
+    problems.push(`${label}.default must be a number >= 0`);
+  }
+  if (table.methods !== undefined) {
+    if (!isObject(table.methods) || Object.values(table.methods).some(units => typeof units !== 'number' || units < 0)) {
+      problems.push(`${label}.methods must map methods to numbers >= 0`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * List the dotted paths of settings that differ between two configs
+ * Lists are compared as a whole
+ */
+function diffConfig(previous, next, prefix = '') {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  const changes = [];
+
+  keys.forEach(key => {
+    const a = previous?.[key];
+    const b = next?.[key];
+    const keyPath = prefix + key;
+
+    if (isObject(a) && isObject(b)) {
+      changes.push(...diffConfig(a, b, `${keyPath}.`));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push(keyPath);
+    }
+  });
+
+  return changes;
 }
 
 /**
@@ -78,5 +565,10 @@ function isObject(item) {
 }
 
 module.exports = {
-  loadConfig
+  CONFIG_PATH,
+  loadConfig,
+  readConfig,
+  normalizeEndpoint,
+  validateEndpoint,
+  diffConfig
 };
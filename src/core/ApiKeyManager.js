@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const TokenBucket = require('./TokenBucket');
+const { RPC_ERRORS } = require('../utils/constants');
+const { createErrorResponse, matchesMethod } = require('../utils/rpc');
+
+/**
+ * ApiKeyManager - Authenticates clients by API key and enforces per-key
+ * method allow-lists, requests-per-second and daily quotas
+ *
+ * Keys are read from config.apiKeys.keys on every lookup, so reloaded keys apply immediately.
+ * Usage is counted per key, UTC day and method in the api_key_usage table
+ */
+class ApiKeyManager {
+  constructor(config, statsRepo) {
+    this.config = config;
+    this.statsRepo = statsRepo;
+    this.clients = new Map(); // key hash -> { id, name, keyHash, bucket, day, requests, rejected }
+  }
+
+  /**
+   * Check if clients must present an API key
+   */
+  isEnabled() {
+    return this.config.apiKeys.enabled;
+  }
+
+  /**
+   * Find the key a client sent: path segment, then header, then query parameter
+   */
+  extractKey(req) {
+    const settings = this.config.apiKeys;
+    return req.params?.apiKey || req.headers[settings.header] || req.query?.[settings.queryParam] || null;
+  }
+
+  /**
+   * Look up the client for a key
+   * Returns null for unknown keys, including names inherited from Object.prototype
+   */
+  authenticate(key) {
+    const keys = this.config.apiKeys.keys;
+    const settings = key && Object.hasOwn(keys, key) ? keys[key] : null;
+    if (!settings) {
+      return null;
+    }
+
+    const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+    let client = this.clients.get(keyHash);
+
+    if (!client) {
+      const name = settings.name || keyHash.slice(0, 8);
+      const id = this.statsRepo.ensureApiKey(keyHash, name);
+      client = { id, name, keyHash, bucket: new TokenBucket(null), day: null, requests: 0, rejected: 0 };
+      this.clients.set(keyHash, client);
+    }
+
+    client.settings = settings;
+    client.name = settings.name || client.name;
+
+    // Pick up a changed rate after a config reload
+    const rps = settings.requestsPerSecond || null;
+    if (client.bucket.rate !== rps) {
+      client.bucket.setRate(rps);
+    }
+
+    this.rollDay(client);
+    return client;
+  }
+
+  /**
+   * Check a request against the client's allowed methods and quotas and count it
+   * Returns an error response if the request is refused, otherwise null
+   */
+  checkRequest(client, rpcRequest) {
+    const { settings } = client;
+    const method = rpcRequest.method;
+    let refusal = null;
+
+    this.rollDay(client);
+
+    if (settings.allowedMethods && !settings.allowedMethods.some(pattern => matchesMethod(pattern, method))) {
+      refusal = createErrorResponse(
+        rpcRequest.id,
+        RPC_ERRORS.METHOD_NOT_ALLOWED,
+        `Method ${method} is not allowed for this API key`
+      );
+    } else if (settings.dailyQuota && client.requests >= settings.dailyQuota) {
+      refusal = this.createLimitError(rpcRequest, 'Daily quota exceeded', 'daily', secondsUntilNextDay());
+    } else {
+      const waitMs = client.bucket.tryTake();
+      if (waitMs > 0) {
+        refusal = this.createLimitError(rpcRequest, 'Request rate limit exceeded', 'rate', Math.ceil(waitMs / 1000));
+      }
+    }
+
+    if (refusal) {
+      client.rejected++;
+    } else {
+      client.requests++;
+    }
+    this.statsRepo.recordApiKeyUsage(client.id, client.day, method, Boolean(refusal));
+
+    return refusal;
+  }
+
+  /**
+   * Build the over-quota error with a retry hint (seconds)
+   */
+  createLimitError(rpcRequest, message, limit, retryAfter) {
+    return createErrorResponse(rpcRequest.id, RPC_ERRORS.LIMIT_EXCEEDED, `${message}, retry in ${retryAfter}s`, {
+      limit,
+      retryAfter
+    });
+  }
+
+  /**
+   * Reset a client's daily counters when the UTC day changes
+   * Counters start from stored usage so a restart doesn't reset the daily quota
+   */
+  rollDay(client) {
+    const day = today();
+    if (client.day === day) {
+      return;
+    }
+
+    const usage = this.statsRepo.getApiKeyUsage(client.id, day);
+    client.day = day;
+    client.requests = usage.reduce((sum, row) => sum + row.requests, 0);
+    client.rejected = usage.reduce((sum, row) => sum + row.rejected, 0);
+  }
+
+  /**
+   * Get today's usage per key for monitoring
+   */
+  getStatistics() {
+    const keys = {};
+
+    for (const client of this.clients.values()) {
+      this.rollDay(client);
+      keys[client.name] = {
+        day: client.day,
+        requests: client.requests,
+        rejected: client.rejected,
+        dailyQuota: client.settings.dailyQuota || null,
+        requestsPerSecond: client.settings.requestsPerSecond || null,
+        methods: Object.fromEntries(
+          this.statsRepo.getApiKeyUsage(client.id, client.day)
+            .map(row => [row.method, { requests: row.requests, rejected: row.rejected }])
+        )
+      };
+    }
+
+    return { enabled: this.isEnabled(), keys };
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilNextDay() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,167 @@
+const { parseQuantity } = require('../utils/rpc');
+
+const ZERO_HASH = '0x' + '0'.repeat(64);
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+// Depths (blocks below head) checked for historical state, shallowest first
+const ARCHIVE_DEPTHS = [128, 1024, 16384, 131072, 1048576];
+
+// eth_getLogs block ranges tried, largest first
+const LOGS_RANGES = [100000, 10000, 5000, 2000, 1000, 500, 100, 10];
+
+// Error messages that mean the method itself is unavailable
+const UNSUPPORTED_PATTERN = /method .*(not found|does not exist|not available|not supported)|method not found|unsupported method|not whitelisted|not allowed|is disabled/i;
+
+/**
+ * CapabilityProber - Discovers which method families, history depth and
+ * request shapes an endpoint supports
+ * Probes go through the worker queue like client requests, so a probe held back
+ * by a rate limit or an open circuit leaves the capability unknown
+ */
+class CapabilityProber {
+  /**
+   * Probe an endpoint
+   * Returns null if the endpoint can't be reached at all
+   */
+  async probe(worker) {
+    const head = parseQuantity(await this.call(worker, 'eth_blockNumber', []).then(r => r.result).catch(() => null));
+    if (head === null) {
+      return null;
+    }
+
+    const [debug, trace, txpool, getLogs, batch] = await Promise.all([
+      this.supportsMethod(worker, 'debug_traceTransaction', [ZERO_HASH]),
+      this.supportsMethod(worker, 'trace_transaction', [ZERO_HASH]),
+      this.supportsMethod(worker, 'txpool_status', []),
+      this.supportsMethod(worker, 'eth_getLogs', [{ fromBlock: toHex(head), toBlock: toHex(head), address: ZERO_ADDRESS }]),
+      this.supportsBatch(worker)
+    ]);
+
+    return {
+      debug,
+      trace,
+      txpool,
+      getLogs,
+      batch,
+      archiveDepth: await this.probeArchiveDepth(worker, head),
+      maxLogsRange: getLogs ? await this.probeMaxLogsRange(worker, head) : null,
+      headBlock: head,
+      probedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check if the endpoint accepts a method
+   * Returns null if it couldn't be determined (rate limit, timeout or network failure)
+   */
+  async supportsMethod(worker, method, params) {
+    try {
+      const data = await this.call(worker, method, params);
+      if (data.error) {
+        return !(data.error.code === -32601 || UNSUPPORTED_PATTERN.test(data.error.message || ''));
+      }
+      return true;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find how many blocks of historical state the endpoint serves
+   * Returns the full head height for archive nodes, or null if a probe
+   * went unanswered (rate limit, timeout or network failure)
+   */
+  async probeArchiveDepth(worker, head) {
+    let depth = 0;
+
+    for (const candidate of [...ARCHIVE_DEPTHS.filter(d => d < head), head - 1]) {
+      try {
+        const data = await this.call(worker, 'eth_getBalance', [ZERO_ADDRESS, toHex(head - candidate)]);
+        if (data.error) {
+          break;
+        }
+        depth = candidate;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return depth === head - 1 ? head : depth;
+  }
+
+  /**
+   * Find the largest eth_getLogs block range the endpoint accepts
+   * Returns null if none was accepted or probing was held back
+   */
+  async probeMaxLogsRange(worker, head) {
+    for (const range of LOGS_RANGES.filter(r => r <= head)) {
+      try {
+        const data = await this.call(worker, 'eth_getLogs', [{
+          fromBlock: toHex(head - range + 1),
+          toBlock: toHex(head),
+          address: ZERO_ADDRESS
+        }]);
+        if (!data.error) {
+          return range;
+        }
+      } catch (error) {
+        // Held back by a rate limit or an open circuit, not refused for the range
+        if (error.code === 'DEADLINE_EXCEEDED' || error.code === 'CIRCUIT_OPEN') {
+          return null;
+        }
+        // Try a smaller range
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if the endpoint answers JSON-RPC batch requests
+   */
+  async supportsBatch(worker) {
+    try {
+      const data = await worker.queueBackgroundRequest([
+        { jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 1 },
+        { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 2 }
+      ]);
+      return Array.isArray(data) && data.length === 2;
+    } catch (error) {
+      // Answered, but not with a list of answers
+      if (error.code === 'TEMPORARY_ERROR' || error.code === 'BATCH_TOO_LARGE') {
+        return false;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Send a call through the worker queue and return the JSON-RPC response body
+   * Temporary RPC errors, which the worker rejects for failover, are returned as error bodies
+   */
+  async call(worker, method, params) {
+    const request = { jsonrpc: '2.0', method, params, id: 'capability-probe' };
+    let data;
+
+    try {
+      data = await worker.queueBackgroundRequest(request);
+    } catch (error) {
+      if (!error.rpcError) {
+        throw error;
+      }
+      data = { jsonrpc: '2.0', error: error.rpcError, id: request.id };
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Not a JSON-RPC answer');
+    }
+
+    return data;
+  }
+}
+
+function toHex(blockNumber) {
+  return '0x' + blockNumber.toString(16);
+}
+
+module.exports = CapabilityProber;
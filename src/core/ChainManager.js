@@ -0,0 +1,270 @@
+const WorkerPool = require('./WorkerPool');
+const RequestRouter = require('./RequestRouter');
+const SubscriptionManager = require('./SubscriptionManager');
+const RetentionManager = require('./RetentionManager');
+
+/**
+ * ChainManager - Owns a separate worker pool, router and subscriptions for each configured chain,
+ * and the statistics pruning shared by all of them
+ */
+class ChainManager {
+  constructor(config, statsRepo) {
+    this.config = config;
+    this.statsRepo = statsRepo;
+    this.chains = new Map(); // name -> { name, path, chainId, workerPool, router, subscriptions }
+    this.retention = new RetentionManager(config, statsRepo);
+    this.lastConfigReload = null; // outcome of the last configuration reload, shown on /health
+  }
+
+  /**
+   * Create and initialize the components for every chain
+   */
+  async initialize() {
+    for (const chainConfig of Object.values(this.config.chains)) {
+      const chain = {
+        name: chainConfig.name,
+        path: chainConfig.path,
+        chainId: chainConfig.chainId ?? null
+      };
+
+      const workerPool = new WorkerPool(chain, this.config, this.statsRepo);
+      await workerPool.initializeWorkers(chainConfig.endpoints);
+
+      const router = new RequestRouter(workerPool, this.statsRepo, this.config);
+      const subscriptions = new SubscriptionManager(workerPool, router, this.config);
+
+      this.chains.set(chain.name, { ...chain, workerPool, router, subscriptions });
+    }
+  }
+
+  /**
+   * Record the outcome of a configuration reload (a ConfigReloader 'reload' event)
+   */
+  recordConfigReload(event) {
+    this.lastConfigReload = event;
+  }
+
+  /**
+   * Get all chains
+   */
+  getChains() {
+    return [...this.chains.values()];
+  }
+
+  /**
+   * Find the chain served at a URL path
+   */
+  getChainByPath(path) {
+    return this.getChains().find(chain => chain.path === path) || null;
+  }
+
+  /**
+   * Resolve a URL path to its chain and an optional trailing API key segment
+   * The key segment is only accepted while API keys are enabled, as on the HTTP routes
+   * Returns { chain, apiKey } or null
+   */
+  resolvePath(path) {
+    const chain = this.getChainByPath(path);
+    if (chain) {
+      return { chain, apiKey: null };
+    }
+    if (!this.config.apiKeys.enabled) {
+      return null;
+    }
+
+    const index = path.lastIndexOf('/');
+    const parent = this.getChainByPath(path.slice(0, index) || '/');
+    const apiKey = path.slice(index + 1);
+
+    return parent && apiKey ? { chain: parent, apiKey } : null;
+  }
+
+  /**
+   * Find a worker by endpoint id across all chains
+   * Returns { chain, worker } or null
+   */
+  findWorker(endpointId) {
+    for (const chain of this.getChains()) {
+      const worker = chain.workerPool.getWorkerById(endpointId);
+      if (worker) {
+        return { chain, worker };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start health checks, head polling, capability re-probing and rate budget
+   * adjustments for every chain, and statistics pruning
+   */
+  startHealthChecks() {
+    this.getChains().forEach(chain => {
+      chain.workerPool.startHealthChecks();
+      chain.workerPool.startHeadPolling();
+      chain.workerPool.startCapabilityProbing();
+      chain.workerPool.startRateBudgetAdjustments();
+    });
+    this.retention.start();
+  }
+
+  /**
+   * Stop health checks, head polling, capability probing, rate budget adjustments,
+   * subscription pollers and statistics pruning
+   */
+  stop() {
+    this.retention.stop();
+    this.getChains().forEach(chain => {
+      chain.workerPool.stopHealthChecks();
+      chain.workerPool.stopHeadPolling();
+      chain.workerPool.stopCapabilityProbing();
+      chain.workerPool.stopRateBudgetAdjustments();
+      chain.subscriptions.stop();
+    });
+  }
+
+  /**
+   * Apply reloaded settings to every chain, restarting timers whose interval changed
+   * changes lists the dotted config keys that were updated in place
+   */
+  async applyConfig(changes) {
+    const changed = (key) => changes.some(c => c === key || c.startsWith(`${key}.`));
+
+    if (changed('statistics.flushInterval')) {
+      this.statsRepo.stopFlushing();
+      this.statsRepo.startFlushing();
+    }
+
+    // Prunes at once, so a shorter retention applies without waiting for the next run
+    if (changed('retention')) {
+      this.retention.stop();
+      this.retention.start();
+    }
+
+    for (const chain of this.getChains()) {
+      const { workerPool, router, subscriptions } = chain;
+
+      if (changed(`chains.${chain.name}.endpoints`)) {
+        await workerPool.applyEndpoints(this.config.chains[chain.name].endpoints);
+      }
+
+      if (changed('worker.maxConcurrency') || changed('worker.requestsPerSecond') || changed('rateBudget')) {
+        workerPool.applyWorkerDefaults();
+      }
+
+      if (changed('rateBudget')) {
+        workerPool.stopRateBudgetAdjustments();
+        workerPool.startRateBudgetAdjustments();
+      }
+
+      if (changed('worker.healthCheckInterval')) {
+        workerPool.stopHealthChecks();
+        workerPool.startHealthChecks();
+      }
+
+      if (changed('routing.headPollInterval')) {
+        workerPool.stopHeadPolling();
+        workerPool.startHeadPolling();
+      }
+
+      if (changed('capabilities')) {
+        workerPool.stopCapabilityProbing();
+        workerPool.startCapabilityProbing();
+      }
+
+      if (changed('websocket.pollInterval')) {
+        subscriptions.restartPollers();
+      }
+
+      router.applyConfig();
+    }
+  }
+
+  /**
+   * Check if any chain has active requests
+   */
+  hasActiveRequests() {
+    return this.getChains().some(chain => chain.workerPool.hasActiveRequests());
+  }
+
+  /**
+   * Flush statistics for every chain
+   */
+  async flushStatistics() {
+    for (const chain of this.getChains()) {
+      await chain.workerPool.flushStatistics();
+    }
+  }
+
+  /**
+   * Get health status grouped by chain
+   * Overall status is degraded if any chain has no available worker
+   */
+  getHealthStatus() {
+    const chains = {};
+    let availableWorkers = 0;
+    let totalWorkers = 0;
+
+    this.getChains().forEach(chain => {
+      const status = chain.router.getHealthStatus();
+      chains[chain.name] = { path: chain.path, ...status };
+      availableWorkers += status.availableWorkers;
+      totalWorkers += status.totalWorkers;
+    });
+
+    const allHealthy = Object.values(chains).every(status => status.status === 'healthy');
+
+    return {
+      status: allHealthy ? 'healthy' : 'degraded',
+      availableWorkers,
+      totalWorkers,
+      configReload: this.lastConfigReload,
+      chains
+    };
+  }
+
+  /**
+   * Get statistics grouped by chain, with the state of the statistics write buffer
+   */
+  async getStatistics(range = null) {
+    const chains = {};
+
+    for (const chain of this.getChains()) {
+      chains[chain.name] = await chain.router.getStatistics(range);
+    }
+
+    return { chains, writeBuffer: this.statsRepo.getWriteBufferStatus() };
+  }
+
+  /**
+   * Get per-method latency percentiles, success rates and top errors for every chain
+   */
+  getMethodStatistics(range) {
+    const chains = {};
+
+    this.getChains().forEach(chain => {
+      chains[chain.name] = { methods: chain.router.getMethodStatistics(range) };
+    });
+
+    return {
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      granularity: range.granularity,
+      chains
+    };
+  }
+
+  /**
+   * Get compute unit usage of metered endpoints for every chain
+   */
+  getComputeUnitUsage() {
+    const chains = {};
+
+    this.getChains().forEach(chain => {
+      chains[chain.name] = { endpoints: chain.workerPool.getComputeUnitUsage() };
+    });
+
+    return { deprioritizeAt: this.config.computeUnits.deprioritizeAt, chains };
+  }
+}
+
+module.exports = ChainManager;
@@ -0,0 +1,171 @@
+const { CIRCUIT_STATES } = require('../utils/constants');
+
+/**
+ * CircuitBreaker - Stops sending traffic to an endpoint that fails hard
+ * Opens after failureThreshold consecutive transport/server failures, or once the
+ * failure ratio over the last windowSize outcomes reaches failureRatio.
+ * After openMs it goes half-open and lets one probe request through at a time:
+ * halfOpenSuccesses successful probes close it, a failed probe opens it again
+ *
+ * Settings are read from config.circuitBreaker on every call, so reloads apply at once
+ */
+class CircuitBreaker {
+  constructor(config, onTransition) {
+    this.config = config;
+    this.onTransition = onTransition; // (from, to, reason) => void
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.outcomes = []; // most recent last, true for a failure
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.probeSuccesses = 0;
+  }
+
+  /**
+   * Get the current state, going half-open once the circuit has been open for openMs
+   */
+  getState() {
+    const settings = this.config.circuitBreaker;
+
+    if (!settings.enabled && this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED, 'circuit breaker disabled');
+    } else if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= settings.openMs) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN, `open for ${settings.openMs}ms`);
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Check if a request may be sent: always when closed, one probe at a time when half-open
+   */
+  allowsRequest() {
+    const state = this.getState();
+    return state === CIRCUIT_STATES.CLOSED || (state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight);
+  }
+
+  /**
+   * Note that a request is being sent
+   * Returns true if it is the half-open probe, whose outcome decides the circuit
+   */
+  onDispatch() {
+    if (this.getState() !== CIRCUIT_STATES.HALF_OPEN) {
+      return false;
+    }
+    this.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record an answer from the endpoint (anything but a transport or server failure)
+   */
+  recordSuccess(isProbe = false) {
+    if (!this.config.circuitBreaker.enabled) {
+      return;
+    }
+
+    this.consecutiveFailures = 0;
+    this.pushOutcome(false);
+
+    if (isProbe && this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probeInFlight = false;
+      this.probeSuccesses++;
+      if (this.probeSuccesses >= this.config.circuitBreaker.halfOpenSuccesses) {
+        this.transition(CIRCUIT_STATES.CLOSED, `${this.probeSuccesses} successful probes`);
+      }
+    }
+  }
+
+  /**
+   * Record a transport or server failure
+   * Failures of requests sent before the circuit opened don't count against the probe
+   */
+  recordFailure(reason, isProbe = false) {
+    const settings = this.config.circuitBreaker;
+    if (!settings.enabled) {
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.pushOutcome(true);
+
+    if (isProbe && this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.transition(CIRCUIT_STATES.OPEN, `probe failed: ${reason}`);
+      return;
+    }
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+
+    if (this.consecutiveFailures >= settings.failureThreshold) {
+      this.transition(CIRCUIT_STATES.OPEN, `${this.consecutiveFailures} consecutive failures, last: ${reason}`);
+      return;
+    }
+
+    const ratio = this.getFailureRatio();
+    if (ratio !== null && ratio >= settings.failureRatio) {
+      const percent = Math.round(ratio * 100);
+      this.transition(CIRCUIT_STATES.OPEN, `${percent}% of the last ${this.outcomes.length} requests failed, last: ${reason}`);
+    }
+  }
+
+  /**
+   * Remember an outcome, keeping the last windowSize
+   */
+  pushOutcome(failed) {
+    this.outcomes.push(failed);
+    const excess = this.outcomes.length - this.config.circuitBreaker.windowSize;
+    if (excess > 0) {
+      this.outcomes.splice(0, excess);
+    }
+  }
+
+  /**
+   * Get the failure ratio over the window, or null until the window is full
+   */
+  getFailureRatio() {
+    if (this.outcomes.length < this.config.circuitBreaker.windowSize) {
+      return null;
+    }
+    return this.outcomes.filter(failed => failed).length / this.outcomes.length;
+  }
+
+  /**
+   * Move to another state and report the transition
+   */
+  transition(to, reason) {
+    const from = this.state;
+    this.state = to;
+    this.probeInFlight = false;
+    this.probeSuccesses = 0;
+
+    if (to === CIRCUIT_STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (to === CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+      this.outcomes = [];
+    }
+
+    this.onTransition(from, to, reason);
+  }
+
+  /**
+   * Get circuit status for monitoring
+   */
+  getStatus() {
+    const state = this.getState();
+    const ratio = this.getFailureRatio();
+
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureRatio: ratio !== null ? Number(ratio.toFixed(3)) : null,
+      openUntil: state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.config.circuitBreaker.openMs).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,230 @@
+const { matchesMethod } = require('../utils/rpc');
+
+// Span of the recent burn rate
+const BURN_WINDOW_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * ComputeUnitMeter - Counts the compute units an endpoint's requests cost against
+ * its daily and monthly caps
+ * Usage is kept per UTC day and month in the compute_unit_usage table, so caps hold across restarts.
+ * Nearing a cap (computeUnits.deprioritizeAt) the endpoint is picked less and less often;
+ * at the cap it takes no traffic until the period rolls over
+ */
+class ComputeUnitMeter {
+  constructor(config, statsRepo, endpointId) {
+    this.config = config;
+    this.statsRepo = statsRepo;
+    this.endpointId = endpointId;
+    this.settings = null; // the endpoint's computeUnits entry, null when not metered
+    this.day = { period: null, units: 0, requests: 0 };
+    this.month = { period: null, units: 0, requests: 0 };
+    this.recent = new Map(); // minute start -> units, for the recent burn rate
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Apply the endpoint's computeUnits settings (undefined stops metering)
+   */
+  configure(settings) {
+    this.settings = settings || null;
+  }
+
+  /**
+   * Check if the endpoint is metered
+   */
+  isMetered() {
+    return this.settings !== null;
+  }
+
+  /**
+   * Get the cost table: a named table from computeUnits.costTables or an inline one
+   * Unknown names and missing tables cost one unit per request
+   */
+  getCostTable() {
+    const table = this.settings?.costTable;
+    if (typeof table === 'string') {
+      return this.config.computeUnits.costTables[table] || {};
+    }
+    return table || {};
+  }
+
+  /**
+   * Get the compute units a request (or batch) costs
+   * Exact method names win over wildcard patterns
+   */
+  getCost(rpcRequest) {
+    if (Array.isArray(rpcRequest)) {
+      return rpcRequest.reduce((sum, request) => sum + this.getCost(request), 0);
+    }
+
+    const table = this.getCostTable();
+    const methods = table.methods || {};
+    if (methods[rpcRequest.method] !== undefined) {
+      return methods[rpcRequest.method];
+    }
+
+    const pattern = Object.keys(methods).find(p => matchesMethod(p, rpcRequest.method));
+    return pattern ? methods[pattern] : (table.default ?? 1);
+  }
+
+  /**
+   * Count a request (or batch) answered by the endpoint
+   */
+  charge(rpcRequest) {
+    if (!this.isMetered()) {
+      return;
+    }
+
+    this.rollPeriods();
+    const units = this.getCost(rpcRequest);
+    const requests = Array.isArray(rpcRequest) ? rpcRequest.length : 1;
+
+    this.day.units += units;
+    this.day.requests += requests;
+    this.month.units += units;
+    this.month.requests += requests;
+
+    const minute = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+    this.recent.set(minute, (this.recent.get(minute) || 0) + units);
+
+    this.statsRepo.recordComputeUnits(this.endpointId, this.day.period, this.month.period, units, requests);
+  }
+
+  /**
+   * Start new day and month totals when the UTC period changes
+   * Totals start from stored usage so a restart doesn't reset them
+   */
+  rollPeriods() {
+    const now = new Date().toISOString();
+    [[this.day, now.slice(0, 10)], [this.month, now.slice(0, 7)]].forEach(([totals, period]) => {
+      if (totals.period !== period) {
+        Object.assign(totals, { period }, this.statsRepo.getComputeUnits(this.endpointId, period));
+      }
+    });
+  }
+
+  /**
+   * Get the used share of the tighter cap (0 when unmetered or uncapped)
+   */
+  getUsageRatio() {
+    if (!this.isMetered()) {
+      return 0;
+    }
+
+    this.rollPeriods();
+    const { dailyCap, monthlyCap } = this.settings;
+    return Math.max(
+      dailyCap ? this.day.units / dailyCap : 0,
+      monthlyCap ? this.month.units / monthlyCap : 0
+    );
+  }
+
+  /**
+   * Check if a cap has been reached
+   */
+  isExhausted() {
+    return this.getUsageRatio() >= 1;
+  }
+
+  /**
+   * Get the chance (0-1) the endpoint is passed over when picking one
+   * Rises linearly from 0 at deprioritizeAt to 1 at the cap
+   */
+  getDeferChance() {
+    const ratio = this.getUsageRatio();
+    const threshold = this.config.computeUnits.deprioritizeAt;
+    if (ratio < threshold) {
+      return 0;
+    }
+    return threshold >= 1 ? 1 : Math.min(1, (ratio - threshold) / (1 - threshold));
+  }
+
+  /**
+   * Get the quota state: 'normal', 'deprioritized' or 'exhausted' (null when unmetered)
+   */
+  getState() {
+    if (!this.isMetered()) {
+      return null;
+    }
+
+    const ratio = this.getUsageRatio();
+    if (ratio >= 1) {
+      return 'exhausted';
+    }
+    return ratio >= this.config.computeUnits.deprioritizeAt ? 'deprioritized' : 'normal';
+  }
+
+  /**
+   * Get the recent burn rate (units per hour) over the last hour, or since startup if shorter
+   */
+  getBurnRate() {
+    const now = Date.now();
+    const windowStart = now - BURN_WINDOW_MS;
+    let units = 0;
+
+    this.recent.forEach((minuteUnits, minute) => {
+      if (minute + MINUTE_MS <= windowStart) {
+        this.recent.delete(minute);
+      } else {
+        units += minuteUnits;
+      }
+    });
+
+    const elapsedMs = Math.max(MINUTE_MS, Math.min(BURN_WINDOW_MS, now - this.startedAt));
+    return units / (elapsedMs / BURN_WINDOW_MS);
+  }
+
+  /**
+   * Get usage, burn rate and projected cap exhaustion for monitoring
+   */
+  getUsage() {
+    this.rollPeriods();
+    const burnRate = this.getBurnRate();
+    const costTable = this.settings.costTable;
+
+    return {
+      costTable: typeof costTable === 'string' ? costTable : (costTable ? 'inline' : 'default'),
+      state: this.getState(),
+      burnRatePerHour: Math.round(burnRate),
+      day: describePeriod(this.day, this.settings.dailyCap, burnRate, nextDay()),
+      month: describePeriod(this.month, this.settings.monthlyCap, burnRate, nextMonth())
+    };
+  }
+}
+
+/**
+ * Describe a period's totals against its cap
+ * projectedExhaustion is when the current burn rate reaches the cap, or null if not before the period ends
+ */
+function describePeriod(totals, cap, burnRatePerHour, periodEnd) {
+  const exhausted = Boolean(cap) && totals.units >= cap;
+  let projectedExhaustion = null;
+
+  if (cap && !exhausted && burnRatePerHour > 0) {
+    const exhaustsAt = Date.now() + ((cap - totals.units) / burnRatePerHour) * 60 * 60 * 1000;
+    projectedExhaustion = exhaustsAt < periodEnd ? new Date(exhaustsAt).toISOString() : null;
+  }
+
+  return {
+    period: totals.period,
+    units: totals.units,
+    requests: totals.requests,
+    cap: cap || null,
+    used: cap ? Number((totals.units / cap).toFixed(4)) : null,
+    exhausted,
+    projectedExhaustion
+  };
+}
+
+function nextDay() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+function nextMonth() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+module.exports = ComputeUnitMeter;
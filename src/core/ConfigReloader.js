@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const metrics = require('../utils/metrics');
+const { CONFIG_PATH, readConfig, diffConfig } = require('../config/config');
+
+// Sections only read at startup
+const RESTART_SECTIONS = ['server', 'database', 'admin', 'hotReload'];
+
+/**
+ * ConfigReloader - Reloads config/config.json on file change or on demand (SIGHUP)
+ * and applies the differences to the running chains
+ *
+ * Emits 'reload' with { trigger, result, applied, restartRequired, error, at }
+ * where result is 'applied', 'unchanged' or 'failed'
+ */
+class ConfigReloader extends EventEmitter {
+  constructor(config, chainManager) {
+    super();
+    this.config = config;
+    this.chainManager = chainManager;
+    this.watcher = null;
+    this.debounceTimer = null;
+    this.pending = Promise.resolve();
+    this.lastReload = null;
+  }
+
+  /**
+   * Watch the config file for changes
+   * Watches the directory so editors that save by renaming are picked up
+   */
+  start() {
+    if (!this.config.hotReload.enabled) {
+      return;
+    }
+
+    const fileName = path.basename(CONFIG_PATH);
+
+    try {
+      this.watcher = fs.watch(path.dirname(CONFIG_PATH), (eventType, changedFile) => {
+        if (changedFile === fileName) {
+          this.scheduleReload();
+        }
+      });
+      console.log(`Watching ${CONFIG_PATH} for changes`);
+    } catch (error) {
+      console.error(`Could not watch ${CONFIG_PATH}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  stop() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Reload once a burst of file events has settled
+   */
+  scheduleReload() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.reload('file change'), this.config.hotReload.debounceMs);
+  }
+
+  /**
+   * Reload the config file and apply what changed
+   * Reloads run one at a time in the order requested
+   */
+  reload(trigger) {
+    this.pending = this.pending.then(() => this.applyReload(trigger));
+    return this.pending;
+  }
+
+  async applyReload(trigger) {
+    console.log(`Reloading configuration (${trigger})...`);
+
+    let next;
+    try {
+      // A missing file mid-save would otherwise reload the built-in defaults
+      if (!fs.existsSync(CONFIG_PATH)) {
+        throw new Error(`${CONFIG_PATH} not found`);
+      }
+      next = readConfig();
+    } catch (error) {
+      console.error(`Configuration reload rejected, keeping current settings: ${error.message}`);
+      return this.finish({ trigger, result: 'failed', applied: [], restartRequired: [], error: error.message });
+    }
+
+    const changes = diffConfig(this.config, next);
+    const restartRequired = changes.filter(key => ConfigReloader.requiresRestart(key));
+    const applied = changes.filter(key => !ConfigReloader.requiresRestart(key));
+
+    applied.forEach(key => setPath(this.config, key, getPath(next, key)));
+
+    try {
+      await this.chainManager.applyConfig(applied);
+    } catch (error) {
+      console.error('Error applying reloaded configuration:', error);
+      return this.finish({ trigger, result: 'failed', applied, restartRequired, error: error.message });
+    }
+
+    if (applied.length > 0) {
+      console.log(`Configuration reloaded, applied: ${applied.join(', ')}`);
+    } else {
+      console.log('Configuration reloaded, no live changes');
+    }
+    if (restartRequired.length > 0) {
+      console.log(`⚠ Restart required to apply: ${restartRequired.join(', ')}`);
+    }
+
+    return this.finish({
+      trigger,
+      result: applied.length > 0 ? 'applied' : 'unchanged',
+      applied,
+      restartRequired,
+      error: null
+    });
+  }
+
+  /**
+   * Record, count and emit a reload outcome
+   */
+  finish(event) {
+    event.at = new Date().toISOString();
+    this.lastReload = event;
+    metrics.configReloads.inc({ result: event.result });
+    this.emit('reload', event);
+    return event;
+  }
+
+  /**
+   * Check if a changed key only takes effect after a restart
+   * Chains can change their endpoint list live; adding, removing or re-pathing a chain needs a restart
+   */
+  static requiresRestart(key) {
+    const [section, ...rest] = key.split('.');
+
+    if (section === 'chains') {
+      return !(rest.length === 2 && rest[1] === 'endpoints');
+    }
+
+    return RESTART_SECTIONS.includes(section) || key === 'websocket.enabled';
+  }
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => value?.[part], object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((obj, part) => obj[part], object);
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+module.exports = ConfigReloader;
@@ -1,44 +1,187 @@
 const axios = require('axios');
-const { WORKER_STATES } = require('../utils/constants');
+const TokenBucket = require('./TokenBucket');
+const RequestQueue = require('./RequestQueue');
+const CircuitBreaker = require('./CircuitBreaker');
+const ComputeUnitMeter = require('./ComputeUnitMeter');
+const metrics = require('../utils/metrics');
+const {
+  WORKER_STATES,
+  CIRCUIT_STATES,
+  HTTP_STATUS,
+  BATCH_TOO_LARGE_PATTERN,
+  CONNECTION_ERROR_CODES
+} = require('../utils/constants');
+const { extractHeadBlock, getBlockAge, getLogsRange, getMethodLabel } = require('../utils/rpc');
+
+// Blocks of recent state every node is assumed to serve, whatever its probed archive depth
+const RECENT_STATE_BLOCKS = 128;
+
+// Smoothing factor for the latency and error rate averages used by balancing strategies
+const EWMA_ALPHA = 0.2;
+
+// Method prefixes whose support is discovered by capability probing
+const METHOD_FAMILIES = {
+  debug_: 'debug',
+  trace_: 'trace',
+  txpool_: 'txpool'
+};
 
 /**
- * EndpointWorker - Single-threaded queue processor for one RPC endpoint
- * Processes requests sequentially to avoid triggering rate limits
+ * EndpointWorker - Queue processor for one RPC endpoint
+ * Paces requests with a token bucket and bounds how many are in flight at once
+ * (defaults to one at a time) to avoid triggering rate limits
  */
 class EndpointWorker {
-  constructor(url, endpointId, config, rateLimitDetector, statsRepo) {
-    this.url = url;
+  constructor(endpoint, endpointId, config, rateLimitDetector, statsRepo, chainName = 'default') {
+    this.url = endpoint.url;
     this.endpointId = endpointId;
+    this.chainName = chainName;
     this.config = config;
     this.rateLimitDetector = rateLimitDetector;
     this.statsRepo = statsRepo;
 
-    this.queue = []; // { request, resolve, reject, enqueuedAt }
+    this.capabilities = null; // set by capability probing
+    this.source = endpoint.source || 'config'; // 'config' or 'admin'
+    this.disabled = false;
+    this.draining = false;
+
+    this.queue = new RequestQueue(config); // { request, priority, resolve, reject, enqueuedAt, seq }
+    this.nextSeq = 0;
     this.isProcessing = false;
+    this.inFlight = 0;
+    this.slotWaiters = [];
     this.state = WORKER_STATES.HEALTHY;
     this.cooldownUntil = null;
+    this.headBlock = null;
+    this.headUpdatedAt = null;
+    this.latencyEwma = null; // ms, null until the first response
+    this.errorRateEwma = 0;
+    this.learnedBatchSize = null; // set when the endpoint refuses a batch as too large
+    this.pacingLimited = false; // pacing held requests back since the last rate budget step
+    this.circuitBreaker = new CircuitBreaker(config, (from, to, reason) => this.onCircuitTransition(from, to, reason));
+    this.computeUnits = new ComputeUnitMeter(config, statsRepo, endpointId);
+
+    this.tokenBucket = new TokenBucket(null);
+    this.applyEndpoint(endpoint);
+
+    const pacing = this.tokenBucket.rate ? `${this.tokenBucket.rate} req/s` : 'unpaced';
+    console.log(`Worker initialized for ${this.name} (concurrency: ${this.maxConcurrency}, ${pacing})`);
+  }
+
+  /**
+   * Apply an endpoint entry's settings, falling back to the worker defaults
+   * Called again when the configuration is reloaded
+   */
+  applyEndpoint(endpoint) {
+    this.endpoint = endpoint;
+    this.name = endpoint.name || endpoint.url; // shown in logs and metrics instead of the URL
+    this.maxConcurrency = endpoint.maxConcurrency || this.config.worker.maxConcurrency || 1;
+    this.requestsPerSecond = endpoint.requestsPerSecond || this.config.worker.requestsPerSecond || null;
+    this.tags = endpoint.tags || [];
+    this.weight = endpoint.weight > 0 ? endpoint.weight : 1;
+    this.queue.maxQueueSize = endpoint.maxQueueSize || null;
+    this.rateLimitDetector.setEndpointSettings(this.endpointId, endpoint.rateLimit);
+    this.computeUnits.configure(endpoint.computeUnits);
+    this.updatePacing();
+
+    // Let the queue loop pick up a raised concurrency limit
+    this.releaseSlot();
+  }
+
+  /**
+   * Get the pacing rate: requestsPerSecond capped by the learned rate budget (null = unpaced)
+   */
+  getPacingRate() {
+    const budget = this.config.rateBudget.enabled ? this.rateLimitDetector.getBudget(this.endpointId) : null;
+    if (!budget) {
+      return this.requestsPerSecond;
+    }
+    return this.requestsPerSecond
+      ? Math.min(this.requestsPerSecond, budget.requestsPerSecond)
+      : budget.requestsPerSecond;
+  }
 
-    console.log(`Worker initialized for ${url}`);
+  /**
+   * Apply the current pacing rate to the token bucket
+   */
+  updatePacing() {
+    const rate = this.getPacingRate();
+    if (rate !== this.tokenBucket.rate) {
+      this.tokenBucket.setRate(rate);
+    }
+  }
+
+  /**
+   * Additive step of the rate budget, run every rateBudget.increaseInterval
+   * Only raised when pacing held requests back since the last step,
+   * so the budget follows demand instead of growing while the endpoint is idle
+   */
+  raiseRateBudget() {
+    const limited = this.pacingLimited;
+    this.pacingLimited = false;
+
+    if (!limited || !this.config.rateBudget.enabled || this.state !== WORKER_STATES.HEALTHY) {
+      return;
+    }
+
+    const budget = this.rateLimitDetector.raiseBudget(this.endpointId, this.requestsPerSecond);
+    if (budget) {
+      this.updatePacing();
+      console.log(`${this.name} - Rate budget raised to ${budget.requestsPerSecond} req/s`);
+    }
   }
 
   /**
    * Queue a request for processing
+   * options.priority selects the priority class (defaults to priority.default);
+   * options.signal (client disconnect) and options.deadline take the request out of
+   * the queue if they fire before it is sent upstream
    * Returns a promise that resolves with the response
    */
-  queueRequest(rpcRequest) {
+  queueRequest(rpcRequest, options = {}) {
+    const priority = options.priority || this.config.priority.default;
+    const { signal, deadline } = options;
+
     return new Promise((resolve, reject) => {
-      // Check queue size limit
-      if (this.queue.length >= this.config.worker.maxQueueSize) {
-        reject(new Error('Queue full'));
+      if (signal?.aborted) {
+        reject(createAbandonError('REQUEST_CANCELLED', 'Client disconnected'));
         return;
       }
 
-      this.queue.push({
+      // Check queue size limit for the priority class
+      if (this.queue.isFull(priority)) {
+        reject(new Error(`Queue full (${priority} priority)`));
+        return;
+      }
+
+      const item = {
         request: rpcRequest,
-        resolve,
-        reject,
-        enqueuedAt: Date.now()
-      });
+        priority,
+        enqueuedAt: Date.now(),
+        seq: this.nextSeq++
+      };
+
+      // Once dispatched the request runs to completion; until then it can be dropped
+      const abandon = (code, message) => {
+        if (this.queue.remove(item)) {
+          item.reject(createAbandonError(code, message));
+        }
+      };
+      const onAbort = () => abandon('REQUEST_CANCELLED', 'Client disconnected');
+      const timer = deadline
+        ? setTimeout(() => abandon('DEADLINE_EXCEEDED', 'Deadline passed while queued'), Math.max(0, deadline - Date.now()))
+        : null;
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      item.resolve = settle(resolve);
+      item.reject = settle(reject);
+
+      this.queue.push(item);
 
       // Start processing if not already running
       if (!this.isProcessing) {
@@ -48,7 +191,33 @@ class EndpointWorker {
   }
 
   /**
-   * Process queued requests sequentially
+   * Queue a request the proxy makes on its own (head polls, capability probes, chain id
+   * checks) in the lowest priority class, paced and counted like client traffic.
+   * Dropped with DEADLINE_EXCEEDED if not sent within holdMs (default: the request timeout)
+   */
+  queueBackgroundRequest(rpcRequest, holdMs = null) {
+    const classes = this.config.priority.classes;
+    return this.queueRequest(rpcRequest, {
+      priority: classes[classes.length - 1],
+      deadline: Date.now() + (holdMs || this.endpoint.timeout || this.config.worker.requestTimeout)
+    });
+  }
+
+  /**
+   * Put a request back at the front of its priority class (e.g. after a rate limit)
+   * Requests re-queued out of order by concurrent completions keep their original order
+   */
+  requeue(item) {
+    this.queue.push(item);
+
+    if (!this.isProcessing) {
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Dispatch queued requests by priority, respecting cooldown,
+   * the concurrency limit and the token bucket
    */
   async processQueue() {
     this.isProcessing = true;
@@ -66,63 +235,145 @@ class EndpointWorker {
         this.state = WORKER_STATES.HEALTHY;
         this.cooldownUntil = null;
         this.rateLimitDetector.resetConsecutiveLimits(this.endpointId);
-        console.log(`${this.url} - Cooldown ended, back to HEALTHY`);
+        console.log(`${this.name} - Cooldown ended, back to HEALTHY`);
+      }
+
+      // An open circuit sends nothing; a half-open one sends a single probe at a time
+      if (!this.circuitBreaker.allowsRequest()) {
+        if (this.circuitBreaker.getState() === CIRCUIT_STATES.OPEN) {
+          this.rejectQueued(`Circuit open for ${this.name}`, 'CIRCUIT_OPEN');
+        } else {
+          await this.waitForSlot();
+        }
+        continue;
+      }
+
+      // Wait for a free slot
+      if (this.inFlight >= this.maxConcurrency) {
+        await this.waitForSlot();
+        continue;
+      }
+
+      // Pace ahead of time instead of waiting for the provider to push back
+      const pacingDelay = this.tokenBucket.tryTake();
+      if (pacingDelay > 0) {
+        this.pacingLimited = true;
+        await this.sleep(pacingDelay);
+        continue;
       }
 
       const item = this.queue.shift();
+      item.isProbe = this.circuitBreaker.onDispatch();
 
-      try {
-        const startTime = Date.now();
-        const response = await this.makeRequest(item.request);
-        const responseTime = Date.now() - startTime;
+      // Providers count every item of a batch against the rate limit
+      if (Array.isArray(item.request)) {
+        this.tokenBucket.charge(item.request.length - 1);
+      }
 
-        // Analyze response for rate limiting
-        const analysis = this.rateLimitDetector.detectRateLimit(
-          this.endpointId,
-          response.data,
-          response.status,
-          responseTime,
-          null
-        );
+      this.inFlight++;
+      this.executeRequest(item).finally(() => {
+        this.inFlight--;
+        this.releaseSlot();
+      });
+    }
 
-        if (analysis.isRateLimited) {
-          console.log(`${this.url} - Rate limit detected (confidence: ${analysis.confidence.toFixed(2)})`);
-          this.handleRateLimit(analysis);
-          // Re-queue the request at the front
-          this.queue.unshift(item);
-          continue;
-        }
+    this.isProcessing = false;
+  }
 
-        // Check if response contains a JSON-RPC error
-        if (response.data && response.data.error) {
-          const rpcError = response.data.error;
-
-          // Check if it's a temporary/retryable error
-          if (this.isTemporaryError(rpcError)) {
-            console.log(`${this.url} - Temporary error (code ${rpcError.code}): ${rpcError.message}`);
-            this.recordFailure(item.request.method, responseTime, new Error(rpcError.message));
-
-            // Throw error to trigger failover to another endpoint
-            const error = new Error(`Temporary error from ${this.url}: ${rpcError.message}`);
-            error.code = 'TEMPORARY_ERROR';
-            error.rpcError = rpcError;
-            item.reject(error);
-            continue;
-          }
-
-          // Non-temporary RPC error - return to client
-          console.log(`${this.url} - RPC error (code ${rpcError.code}): ${rpcError.message}`);
+  /**
+   * Send one queued request (or batch) upstream and settle its promise
+   */
+  async executeRequest(item) {
+    try {
+      const startTime = Date.now();
+      const response = await this.makeRequest(item.request);
+      const responseTime = Date.now() - startTime;
+
+      // A 5xx without a JSON-RPC answer means the server is failing; anything else shows it is up
+      const serverFailure = response.status >= 500 && !isRpcAnswer(response.data);
+      if (serverFailure) {
+        this.circuitBreaker.recordFailure(`HTTP ${response.status}`, item.isProbe);
+      } else {
+        this.circuitBreaker.recordSuccess(item.isProbe);
+      }
+
+      // Only 503 is a common throttling answer; other server failures fail over right away
+      if (serverFailure && response.status !== HTTP_STATUS.SERVICE_UNAVAILABLE) {
+        this.rejectServerFailure(item, response, responseTime);
+        return;
+      }
+
+      // Refusing a batch for its size is not rate limiting: learn the limit instead
+      if (Array.isArray(item.request) && this.isBatchTooLarge(response)) {
+        this.rejectOversizedBatch(item, response, responseTime);
+        return;
+      }
+
+      // Analyze response for rate limiting
+      const analysis = this.rateLimitDetector.detectRateLimit(
+        this.endpointId,
+        response.data,
+        response.status,
+        responseTime,
+        null
+      );
+
+      if (analysis.isRateLimited) {
+        console.log(`${this.name} - Rate limit detected (confidence: ${analysis.confidence.toFixed(2)})`);
+        getRequests(item).forEach(request => {
+          this.statsRepo.recordRateLimitedRequest(this.endpointId, request.method, responseTime);
+          this.recordOutcome(request.method, 'rate_limited', responseTime);
+        });
+        this.handleRateLimit(analysis);
+        // Re-queue the request at the front
+        this.requeue(item);
+        return;
+      }
+
+      this.chargeComputeUnits(item.request);
+
+      // Batch answers are judged item by item
+      if (Array.isArray(item.request)) {
+        this.settleBatch(item, response, responseTime);
+        return;
+      }
+
+      // Check if response contains a JSON-RPC error
+      if (response.data && response.data.error) {
+        const rpcError = response.data.error;
+
+        // Check if it's a temporary/retryable error
+        if (this.isTemporaryError(rpcError)) {
+          console.log(`${this.name} - Temporary error (code ${rpcError.code}): ${rpcError.message}`);
+          this.recordFailure(item.request.method, responseTime, new Error(rpcError.message));
+          this.recordOutcome(item.request.method, 'temporary_error', responseTime);
+
+          // Throw error to trigger failover to another endpoint
+          const error = new Error(`Temporary error from ${this.name}: ${rpcError.message}`);
+          error.code = 'TEMPORARY_ERROR';
+          error.rpcError = rpcError;
+          item.reject(error);
+          return;
         }
 
-        // Success (or non-temporary error that should be returned to client)
-        this.recordSuccess(item.request.method, responseTime);
-        item.resolve(response.data);
+        // Non-temporary RPC error - return to client
+        console.log(`${this.name} - RPC error (code ${rpcError.code}): ${rpcError.message}`);
+      }
+
+      // Success (or non-temporary error that should be returned to client)
+      this.observeHead(extractHeadBlock(item.request, response.data));
+      this.recordSuccess(item.request.method, responseTime);
+      this.recordOutcome(item.request.method, response.data?.error ? 'rpc_error' : 'success', responseTime);
+      item.resolve(response.data);
 
-      } catch (error) {
-        const responseTime = Date.now() - item.enqueuedAt;
+    } catch (error) {
+      const responseTime = Date.now() - item.enqueuedAt;
+      this.circuitBreaker.recordFailure(error.code || error.message, item.isProbe);
 
-        // Analyze error for rate limiting
-        const analysis = this.rateLimitDetector.detectRateLimit(
+      // Analyze error for rate limiting (an unreachable endpoint isn't throttling)
+      const analysis = CONNECTION_ERROR_CODES.includes(error.code)
+        ? { isRateLimited: false }
+        : this.rateLimitDetector.detectRateLimit(
           this.endpointId,
           error.response?.data,
           error.response?.status,
@@ -130,21 +381,142 @@ class EndpointWorker {
           error
         );
 
-        if (analysis.isRateLimited) {
-          console.log(`${this.url} - Rate limit detected from error (confidence: ${analysis.confidence.toFixed(2)})`);
-          this.handleRateLimit(analysis);
-          // Re-queue the request
-          this.queue.unshift(item);
-          continue;
-        }
-
-        // Non-rate-limit error - record and reject
-        this.recordFailure(item.request.method, responseTime, error);
-        item.reject(error);
+      if (analysis.isRateLimited) {
+        console.log(`${this.name} - Rate limit detected from error (confidence: ${analysis.confidence.toFixed(2)})`);
+        getRequests(item).forEach(request => {
+          this.statsRepo.recordRateLimitedRequest(this.endpointId, request.method, responseTime);
+          this.recordOutcome(request.method, 'rate_limited', responseTime);
+        });
+        this.handleRateLimit(analysis);
+        // Re-queue the request
+        this.requeue(item);
+        return;
       }
+
+      // Non-rate-limit error - record and reject
+      getRequests(item).forEach(request => {
+        this.recordFailure(request.method, responseTime, error);
+        this.recordOutcome(request.method, 'transport_error', responseTime);
+      });
+      item.reject(error);
     }
+  }
 
-    this.isProcessing = false;
+  /**
+   * Reject a request (or batch) the endpoint failed with a server error so it fails over
+   */
+  rejectServerFailure(item, response, responseTime) {
+    console.log(`${this.name} - Server error (HTTP ${response.status})`);
+
+    const error = new Error(`Server error from ${this.name}: HTTP ${response.status}`);
+    error.code = 'TEMPORARY_ERROR';
+    error.response = response;
+    getRequests(item).forEach(request => {
+      this.recordFailure(request.method, responseTime, error);
+      this.recordOutcome(request.method, 'server_error', responseTime);
+    });
+    item.reject(error);
+  }
+
+  /**
+   * Count the compute units of an answered request (or batch), logging quota state changes
+   */
+  chargeComputeUnits(rpcRequest) {
+    if (!this.computeUnits.isMetered()) {
+      return;
+    }
+
+    const before = this.computeUnits.getState();
+    const units = this.computeUnits.getCost(rpcRequest);
+    this.computeUnits.charge(rpcRequest);
+    metrics.computeUnits.inc({ chain: this.chainName, endpoint: this.name }, units);
+
+    const after = this.computeUnits.getState();
+    if (after !== before) {
+      const percent = Math.round(this.computeUnits.getUsageRatio() * 100);
+      console.log(`${this.name} - Compute units at ${percent}% of cap, now ${after}`);
+    }
+  }
+
+  /**
+   * Check if an upstream answer refuses a batch because of its size
+   */
+  isBatchTooLarge(response) {
+    if (response.status === 413) {
+      return true;
+    }
+    const data = response.data;
+    const message = Array.isArray(data) ? null : (data?.error?.message || (typeof data === 'string' ? data : null));
+    return Boolean(message && BATCH_TOO_LARGE_PATTERN.test(message));
+  }
+
+  /**
+   * Reject a batch the endpoint refused as too large and halve the batch size used for it
+   */
+  rejectOversizedBatch(item, response, responseTime) {
+    const size = item.request.length;
+    this.learnedBatchSize = Math.max(1, Math.min(this.getMaxBatchSize(), Math.floor(size / 2)));
+    console.log(`${this.name} - Batch of ${size} refused as too large, limiting batches to ${this.learnedBatchSize}`);
+
+    const error = new Error(`Batch of ${size} too large for ${this.name}`);
+    error.code = 'BATCH_TOO_LARGE';
+    item.request.forEach(request => this.recordOutcome(request.method, 'temporary_error', responseTime));
+    item.reject(error);
+  }
+
+  /**
+   * Settle a batch sent upstream as one call
+   * Resolves with the upstream answers; the router matches them to the items by id
+   * and retries missing or temporarily failed items elsewhere.
+   * An answer that isn't a list rejects the whole batch
+   */
+  settleBatch(item, response, responseTime) {
+    const data = response.data;
+
+    if (!Array.isArray(data)) {
+      const message = data?.error?.message || `HTTP ${response.status}`;
+      console.log(`${this.name} - Batch failed: ${message}`);
+      const error = new Error(`Batch failed on ${this.name}: ${message}`);
+      error.code = 'TEMPORARY_ERROR';
+      item.request.forEach(request => {
+        this.recordFailure(request.method, responseTime, error);
+        this.recordOutcome(request.method, 'temporary_error', responseTime);
+      });
+      item.reject(error);
+      return;
+    }
+
+    const answers = new Map(data.map(answer => [answer?.id, answer]));
+    item.request.forEach(request => {
+      const answer = answers.get(request.id);
+      if (!answer || (answer.error && this.isTemporaryError(answer.error))) {
+        this.recordFailure(request.method, responseTime, new Error(answer?.error?.message || 'Missing from batch response'));
+        this.recordOutcome(request.method, 'temporary_error', responseTime);
+        return;
+      }
+
+      this.observeHead(extractHeadBlock(request, answer));
+      this.recordSuccess(request.method, responseTime);
+      this.recordOutcome(request.method, answer.error ? 'rpc_error' : 'success', responseTime);
+    });
+
+    item.resolve(data);
+  }
+
+  /**
+   * Wait until an in-flight request completes
+   */
+  waitForSlot() {
+    return new Promise(resolve => this.slotWaiters.push(resolve));
+  }
+
+  /**
+   * Wake up the queue loop after an in-flight request completes
+   */
+  releaseSlot() {
+    const waiters = this.slotWaiters;
+    this.slotWaiters = [];
+    waiters.forEach(resolve => resolve());
   }
 
   /**
@@ -153,9 +525,10 @@ class EndpointWorker {
   async makeRequest(rpcRequest) {
     try {
       const response = await axios.post(this.url, rpcRequest, {
-        timeout: this.config.worker.requestTimeout,
+        timeout: this.endpoint.timeout || this.config.worker.requestTimeout,
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...this.endpoint.headers
         },
         validateStatus: () => true // Don't throw on any status code
       });
@@ -171,8 +544,14 @@ class EndpointWorker {
    * Handle rate limit detection
    */
   handleRateLimit(analysis) {
+    // The circuit breaker already keeps traffic off an endpoint in ERROR
+    if (this.state === WORKER_STATES.ERROR) {
+      return;
+    }
+
     this.state = WORKER_STATES.COOLING_DOWN;
     this.cooldownUntil = Date.now() + analysis.cooldownMs;
+    metrics.rateLimitEvents.inc({ chain: this.chainName, endpoint: this.name });
 
     // Record to database
     this.statsRepo.recordRateLimitEvent(
@@ -183,7 +562,32 @@ class EndpointWorker {
     );
 
     const cooldownSec = (analysis.cooldownMs / 1000).toFixed(1);
-    console.log(`${this.url} - Entering cooldown for ${cooldownSec}s until ${new Date(this.cooldownUntil).toISOString()}`);
+    console.log(`${this.name} - Entering cooldown for ${cooldownSec}s until ${new Date(this.cooldownUntil).toISOString()}`);
+
+    // Pace below the rate that ran into the limit from now on
+    if (this.config.rateBudget.enabled) {
+      const budget = this.rateLimitDetector.lowerBudget(this.endpointId);
+      this.updatePacing();
+      console.log(`${this.name} - Rate budget now ${budget.requestsPerSecond} req/s`);
+    }
+  }
+
+  /**
+   * Apply a circuit breaker transition to the worker state and record it
+   * Opening puts the worker in ERROR and fails its queue over to other endpoints
+   */
+  onCircuitTransition(from, to, reason) {
+    console.log(`${this.name} - Circuit ${from} -> ${to} (${reason})`);
+    metrics.circuitTransitions.inc({ chain: this.chainName, endpoint: this.name, state: to });
+    this.statsRepo.recordCircuitTransition(this.endpointId, from, to, reason);
+
+    if (to === CIRCUIT_STATES.OPEN) {
+      this.state = WORKER_STATES.ERROR;
+      this.cooldownUntil = null;
+      this.rejectQueued(`Circuit open for ${this.name}`, 'CIRCUIT_OPEN');
+    } else if (to === CIRCUIT_STATES.CLOSED && this.state === WORKER_STATES.ERROR) {
+      this.state = WORKER_STATES.HEALTHY;
+    }
   }
 
   /**
@@ -217,17 +621,184 @@ class EndpointWorker {
     );
   }
 
+  /**
+   * Record the upstream head block seen from polling or passing traffic
+   * Heads only move forward so a slow response can't rewind the view
+   */
+  observeHead(blockNumber) {
+    if (blockNumber === null || blockNumber === undefined) {
+      return;
+    }
+
+    if (this.headBlock === null || blockNumber > this.headBlock) {
+      this.headBlock = blockNumber;
+    }
+    this.headUpdatedAt = Date.now();
+  }
+
+  /**
+   * Get number of blocks this worker is behind the given head
+   * Returns null if the worker's head is unknown
+   */
+  getBlockLag(bestHead) {
+    if (this.headBlock === null || bestHead === null) {
+      return null;
+    }
+    return Math.max(0, bestHead - this.headBlock);
+  }
+
+  /**
+   * Get configured tags plus tags implied by probed capabilities
+   */
+  getTags() {
+    const tags = [...this.tags];
+    const caps = this.capabilities;
+
+    if (caps) {
+      Object.values(METHOD_FAMILIES).forEach(family => {
+        if (caps[family] && !tags.includes(family)) {
+          tags.push(family);
+        }
+      });
+      if (this.isFullArchive() && !tags.includes('archive')) {
+        tags.push('archive');
+      }
+    }
+
+    return tags;
+  }
+
+  /**
+   * Check if the endpoint carries all of the given tags
+   */
+  hasTags(tags) {
+    const endpointTags = this.getTags();
+    return tags.every(tag => endpointTags.includes(tag));
+  }
+
+  /**
+   * Check if probing found the endpoint serves state all the way back to genesis
+   */
+  isFullArchive() {
+    const caps = this.capabilities;
+    return Boolean(caps && caps.archiveDepth !== null && caps.archiveDepth >= caps.headBlock);
+  }
+
+  /**
+   * Check probed capabilities against a request
+   * Anything not probed (or not determined) is assumed supported
+   */
+  supportsRequest(rpcRequest, headBlock) {
+    const caps = this.capabilities;
+    if (!caps) {
+      return true;
+    }
+
+    const prefix = Object.keys(METHOD_FAMILIES).find(p => rpcRequest.method.startsWith(p));
+    if (prefix && caps[METHOD_FAMILIES[prefix]] === false) {
+      return false;
+    }
+
+    if (rpcRequest.method === 'eth_getLogs') {
+      if (caps.getLogs === false) {
+        return false;
+      }
+      const range = getLogsRange(rpcRequest.params, headBlock);
+      if (range !== null && caps.maxLogsRange !== null && range > caps.maxLogsRange) {
+        return false;
+      }
+    }
+
+    const blockAge = getBlockAge(rpcRequest, headBlock);
+    if (blockAge !== null && blockAge > RECENT_STATE_BLOCKS && caps.archiveDepth !== null && !this.isFullArchive()) {
+      return blockAge <= caps.archiveDepth;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the outcome of an upstream request in the moving averages and metrics
+   * Rate limits and transport/temporary errors count as errors; RPC errors are valid answers
+   */
+  recordOutcome(method, outcome, responseTime) {
+    const isError = !['success', 'rpc_error'].includes(outcome);
+
+    this.latencyEwma = this.latencyEwma === null
+      ? responseTime
+      : EWMA_ALPHA * responseTime + (1 - EWMA_ALPHA) * this.latencyEwma;
+    this.errorRateEwma = EWMA_ALPHA * (isError ? 1 : 0) + (1 - EWMA_ALPHA) * this.errorRateEwma;
+
+    this.recordMetrics(method, outcome, responseTime);
+  }
+
+  /**
+   * Get the largest batch to send this endpoint in one call
+   * Endpoints found not to support batches get single requests
+   */
+  getMaxBatchSize() {
+    if (this.capabilities?.batch === false) {
+      return 1;
+    }
+
+    const configured = this.endpoint.maxBatchSize || this.config.batch.maxBatchSize;
+    return this.learnedBatchSize ? Math.min(configured, this.learnedBatchSize) : configured;
+  }
+
+  /**
+   * Get requests queued or in flight
+   */
+  getOutstanding() {
+    return this.queue.length + this.inFlight;
+  }
+
+  /**
+   * Update Prometheus counters and latency histogram for an upstream request
+   */
+  recordMetrics(method, outcome, responseTime) {
+    const labels = { chain: this.chainName, endpoint: this.name, method: getMethodLabel(method) };
+    metrics.upstreamRequests.inc({ ...labels, outcome });
+    metrics.upstreamLatency.observe(labels, responseTime / 1000);
+  }
+
+  /**
+   * Reject every queued request (e.g. when the endpoint is removed or its circuit opens)
+   * The router fails these over to another endpoint
+   */
+  rejectQueued(message, code = 'ENDPOINT_REMOVED') {
+    const queued = this.queue.drain();
+    queued.forEach(item => {
+      const error = new Error(message);
+      error.code = code;
+      item.reject(error);
+    });
+    return queued.length;
+  }
+
   /**
    * Check if worker is available to accept new requests
+   * Disabled and draining workers finish their queue but take no new work;
+   * so do endpoints that have used up a compute unit cap
    */
   isAvailable() {
-    if (this.state === WORKER_STATES.COOLING_DOWN && Date.now() < this.cooldownUntil) {
+    if (this.disabled || this.draining) {
       return false;
     }
-    if (this.state === WORKER_STATES.ERROR) {
+    if (this.computeUnits.isExhausted()) {
       return false;
     }
-    return true;
+    if (this.state === WORKER_STATES.COOLING_DOWN && Date.now() < this.cooldownUntil) {
+      return false;
+    }
+    // Closed circuit, or half-open with no probe out yet
+    return this.circuitBreaker.allowsRequest();
+  }
+
+  /**
+   * Check if the queue of a priority class has room for another request
+   */
+  canAccept(priority) {
+    return !this.queue.isFull(priority || this.config.priority.default);
   }
 
   /**
@@ -237,15 +808,52 @@ class EndpointWorker {
     return this.queue.length;
   }
 
+  /**
+   * Get the URL shown on /health and /stats
+   * Only the origin for endpoints with a name or headers, whose URL may carry an API key
+   */
+  getDisplayUrl() {
+    if (!this.endpoint.name && !this.endpoint.headers) {
+      return this.url;
+    }
+
+    try {
+      return new URL(this.url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get worker status for monitoring
    */
   getStatus() {
     return {
-      url: this.url,
+      id: this.endpointId,
+      name: this.name,
+      url: this.getDisplayUrl(),
+      tags: this.getTags(),
+      capabilities: this.capabilities,
       state: this.state,
+      source: this.source,
+      enabled: !this.disabled,
+      draining: this.draining,
       queueLength: this.queue.length,
+      queueByPriority: this.queue.getDepthByPriority(),
+      inFlight: this.inFlight,
+      maxConcurrency: this.maxConcurrency,
+      weight: this.weight,
+      maxBatchSize: this.getMaxBatchSize(),
+      latencyEwmaMs: this.latencyEwma !== null ? Math.round(this.latencyEwma) : null,
+      errorRate: Number(this.errorRateEwma.toFixed(3)),
+      requestsPerSecond: this.requestsPerSecond,
+      rateBudget: this.rateLimitDetector.getBudget(this.endpointId),
+      pacingRate: this.tokenBucket.rate,
+      headBlock: this.headBlock,
+      headUpdatedAt: this.headUpdatedAt ? new Date(this.headUpdatedAt).toISOString() : null,
       cooldownUntil: this.cooldownUntil ? new Date(this.cooldownUntil).toISOString() : null,
+      circuit: this.circuitBreaker.getStatus(),
+      quota: this.computeUnits.getState(),
       isAvailable: this.isAvailable()
     };
   }
@@ -313,8 +921,34 @@ class EndpointWorker {
    * Check if worker has active requests
    */
   hasActiveRequests() {
-    return this.isProcessing || this.queue.length > 0;
+    return this.isProcessing || this.queue.length > 0 || this.inFlight > 0;
   }
 }
 
+/**
+ * Get the JSON-RPC requests in a queue item (several for a batch)
+ */
+function getRequests(item) {
+  return Array.isArray(item.request) ? item.request : [item.request];
+}
+
+/**
+ * Check if an HTTP body is a JSON-RPC answer (a response object or a batch of them)
+ */
+function isRpcAnswer(data) {
+  if (Array.isArray(data)) {
+    return true;
+  }
+  return Boolean(data) && typeof data === 'object' && ('result' in data || 'error' in data);
+}
+
+/**
+ * Create the error a queued request is rejected with when it is dropped before dispatch
+ */
+function createAbandonError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 module.exports = EndpointWorker;
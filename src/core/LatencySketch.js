@@ -0,0 +1,89 @@
+// Relative accuracy of quantile estimates
+const RELATIVE_ACCURACY = 0.02;
+const GAMMA = (1 + RELATIVE_ACCURACY) / (1 - RELATIVE_ACCURACY);
+const LOG_GAMMA = Math.log(GAMMA);
+
+/**
+ * LatencySketch - Mergeable latency histogram for quantile estimates
+ * Latencies fall in logarithmic bins, so any quantile is within 2% of a latency
+ * actually seen while the sketch stays a few dozen bins however many values it holds.
+ * Sketches of different endpoints and time buckets merge by adding bin counts
+ */
+class LatencySketch {
+  constructor() {
+    this.count = 0;
+    this.zeros = 0; // latencies under 1ms
+    this.bins = new Map(); // bin index -> count
+  }
+
+  /**
+   * Add a latency (ms)
+   */
+  add(latencyMs) {
+    this.count++;
+    if (!(latencyMs >= 1)) {
+      this.zeros++;
+      return;
+    }
+
+    const index = Math.ceil(Math.log(latencyMs) / LOG_GAMMA);
+    this.bins.set(index, (this.bins.get(index) || 0) + 1);
+  }
+
+  /**
+   * Add the values of another sketch
+   */
+  merge(other) {
+    this.count += other.count;
+    this.zeros += other.zeros;
+    other.bins.forEach((count, index) => {
+      this.bins.set(index, (this.bins.get(index) || 0) + count);
+    });
+    return this;
+  }
+
+  /**
+   * Estimate a quantile (0-1) in ms, or null when empty
+   */
+  getQuantile(q) {
+    if (this.count === 0) {
+      return null;
+    }
+
+    const rank = q * (this.count - 1);
+    let seen = this.zeros;
+    if (rank < seen) {
+      return 0;
+    }
+
+    const indexes = [...this.bins.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.bins.get(index);
+      if (rank < seen) {
+        return Math.round(2 * Math.pow(GAMMA, index) / (GAMMA + 1));
+      }
+    }
+    return Math.round(2 * Math.pow(GAMMA, indexes[indexes.length - 1]) / (GAMMA + 1));
+  }
+
+  /**
+   * Serialize for storage
+   */
+  toJSON() {
+    return { count: this.count, zeros: this.zeros, bins: Object.fromEntries(this.bins) };
+  }
+
+  /**
+   * Restore a sketch saved with toJSON (a JSON string or the parsed object)
+   */
+  static fromJSON(saved) {
+    const data = typeof saved === 'string' ? JSON.parse(saved) : saved;
+    const sketch = new LatencySketch();
+    sketch.count = data.count;
+    sketch.zeros = data.zeros;
+    Object.entries(data.bins).forEach(([index, count]) => sketch.bins.set(Number(index), count));
+    return sketch;
+  }
+}
+
+module.exports = LatencySketch;
@@ -2,12 +2,33 @@ const { HTTP_STATUS, RATE_LIMIT_KEYWORDS } = require('../utils/constants');
 
 /**
  * RateLimitDetector - Detects rate limiting through multiple heuristics
+ * and learns a sustainable request rate (rate budget) per endpoint
  */
 class RateLimitDetector {
   constructor(config, statsRepo) {
     this.config = config;
     this.statsRepo = statsRepo;
     this.consecutiveLimits = new Map(); // Track consecutive rate limits per endpoint
+    this.endpointSettings = new Map(); // endpoint id -> rateLimit overrides
+    this.budgets = new Map(); // endpoint id -> { requestsPerSecond, loweredAt, updatedAt } or null
+  }
+
+  /**
+   * Set an endpoint's overrides of the rateLimit settings (null clears them)
+   */
+  setEndpointSettings(endpointId, overrides) {
+    if (overrides) {
+      this.endpointSettings.set(endpointId, overrides);
+    } else {
+      this.endpointSettings.delete(endpointId);
+    }
+  }
+
+  /**
+   * Get the rateLimit settings for an endpoint, with its overrides applied
+   */
+  getSettings(endpointId) {
+    return { ...this.config.rateLimit, ...this.endpointSettings.get(endpointId) };
   }
 
   /**
@@ -96,7 +117,7 @@ class RateLimitDetector {
     try {
       const recentRequests = this.statsRepo.getRecentRequests(
         endpointId,
-        this.config.rateLimit.historyWindowSize
+        this.getSettings(endpointId).historyWindowSize
       );
 
       if (recentRequests.length < 5) {
@@ -106,7 +127,7 @@ class RateLimitDetector {
       const failureCount = recentRequests.filter(r => !r.success).length;
       const failureRate = failureCount / recentRequests.length;
 
-      return failureRate >= this.config.rateLimit.detectionThreshold;
+      return failureRate >= this.getSettings(endpointId).detectionThreshold;
     } catch (error) {
       return false;
     }
@@ -139,17 +160,16 @@ class RateLimitDetector {
       this.consecutiveLimits.set(endpointId, consecutive + 1);
 
       // Base cooldown * backoff multiplier ^ consecutive events
-      const baseCooldown = this.config.rateLimit.minCooldownMs;
-      const multiplier = this.config.rateLimit.backoffMultiplier;
+      const settings = this.getSettings(endpointId);
       cooldownMs = Math.min(
-        baseCooldown * Math.pow(multiplier, consecutive),
-        this.config.rateLimit.maxCooldownMs
+        settings.minCooldownMs * Math.pow(settings.backoffMultiplier, consecutive),
+        settings.maxCooldownMs
       );
 
       // Use historical average if available
       const historicalAvg = this.statsRepo.getAverageCooldown(endpointId);
       if (historicalAvg && historicalAvg > cooldownMs) {
-        cooldownMs = Math.min(historicalAvg, this.config.rateLimit.maxCooldownMs);
+        cooldownMs = Math.min(historicalAvg, settings.maxCooldownMs);
       }
     }
 
@@ -191,6 +211,103 @@ class RateLimitDetector {
   resetConsecutiveLimits(endpointId) {
     this.consecutiveLimits.set(endpointId, 0);
   }
+
+  /**
+   * Get the learned rate budget of an endpoint, or null if none was learned yet
+   * Loaded on first use from the saved budget, else estimated from the rate limit history
+   */
+  getBudget(endpointId) {
+    if (!this.budgets.has(endpointId)) {
+      this.budgets.set(endpointId, this.loadBudget(endpointId));
+    }
+    return this.budgets.get(endpointId);
+  }
+
+  /**
+   * Load the saved budget, or estimate one from the request rate logged just before
+   * each past rate limit: those rates were too high, so start below their median
+   */
+  loadBudget(endpointId) {
+    const saved = this.statsRepo.getRateBudget(endpointId);
+    if (saved) {
+      return saved;
+    }
+
+    const settings = this.config.rateBudget;
+    const rates = this.statsRepo.getRatesBeforeRateLimits(endpointId, settings.lookbackMs, settings.historyDays)
+      .filter(rate => rate > 0)
+      .sort((a, b) => a - b);
+
+    if (rates.length === 0) {
+      return null;
+    }
+
+    const median = rates[Math.floor(rates.length / 2)];
+    const budget = this.saveBudget(endpointId, median * settings.decreaseFactor, true);
+    console.log(`Estimated rate budget for endpoint ${endpointId} from ${rates.length} rate limits: ${budget.requestsPerSecond} req/s`);
+    return budget;
+  }
+
+  /**
+   * Multiplicative decrease after a rate limit
+   * Scales the rate that ran into the limit (or the budget, if lower) by decreaseFactor.
+   * Limits hit within lookbackMs of the last decrease are the same overload and don't lower it again
+   */
+  lowerBudget(endpointId) {
+    const settings = this.config.rateBudget;
+    const current = this.getBudget(endpointId);
+
+    if (current?.loweredAt && Date.now() - Date.parse(current.loweredAt) < settings.lookbackMs) {
+      return current;
+    }
+
+    // Count at least the request that hit the limit
+    const observed = Math.max(
+      this.statsRepo.getRequestRate(endpointId, settings.lookbackMs),
+      1000 / settings.lookbackMs
+    );
+    const rate = current ? Math.min(current.requestsPerSecond, observed) : observed;
+    return this.saveBudget(endpointId, rate * settings.decreaseFactor, true);
+  }
+
+  /**
+   * Additive increase: raise the budget by increaseStep once increaseInterval has passed
+   * without a rate limit, up to the ceiling (the endpoint's requestsPerSecond, if set)
+   * Returns the new budget, or null if it was not raised
+   */
+  raiseBudget(endpointId, ceiling = null) {
+    const settings = this.config.rateBudget;
+    const current = this.getBudget(endpointId);
+
+    if (!current || (ceiling && current.requestsPerSecond >= ceiling)) {
+      return null;
+    }
+    if (current.loweredAt && Date.now() - Date.parse(current.loweredAt) < settings.increaseInterval) {
+      return null;
+    }
+
+    const rate = current.requestsPerSecond + settings.increaseStep;
+    return this.saveBudget(endpointId, ceiling ? Math.min(rate, ceiling) : rate, false);
+  }
+
+  /**
+   * Store and persist a new budget (never below minRequestsPerSecond)
+   */
+  saveBudget(endpointId, requestsPerSecond, lowered) {
+    const now = new Date().toISOString();
+    const budget = {
+      requestsPerSecond: Math.max(
+        this.config.rateBudget.minRequestsPerSecond,
+        Math.round(requestsPerSecond * 100) / 100
+      ),
+      loweredAt: lowered ? now : (this.budgets.get(endpointId)?.loweredAt || null),
+      updatedAt: now
+    };
+
+    this.budgets.set(endpointId, budget);
+    this.statsRepo.saveRateBudget(endpointId, budget);
+    return budget;
+  }
 }
 
 module.exports = RateLimitDetector;
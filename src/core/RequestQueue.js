@@ -0,0 +1,141 @@
+/**
+ * RequestQueue - Priority queue for an endpoint worker
+ * Keeps one FIFO per priority class (ordered by sequence number) and serves
+ * the highest class first. Waiting requests age: every agingMs spent in the
+ * queue moves a request up one class, so low priority work is never starved
+ *
+ * Classes and aging are read from config.priority on every call, so reloaded
+ * settings apply to requests already queued
+ */
+class RequestQueue {
+  constructor(config) {
+    this.config = config;
+    this.classes = new Map(); // priority -> items ordered by seq
+    this.length = 0;
+    this.maxQueueSize = null; // endpoint override of worker.maxQueueSize
+  }
+
+  /**
+   * Get the rank of a priority class (0 is served first)
+   * Unknown classes (e.g. removed by a reload) rank last
+   */
+  getRank(priority) {
+    const rank = this.config.priority.classes.indexOf(priority);
+    return rank === -1 ? this.config.priority.classes.length : rank;
+  }
+
+  /**
+   * Get the maximum number of queued requests for a priority class
+   * A per-class limit wins over the endpoint's limit, which wins over worker.maxQueueSize
+   */
+  getMaxSize(priority) {
+    return this.config.priority.maxQueueSize[priority] || this.maxQueueSize || this.config.worker.maxQueueSize;
+  }
+
+  /**
+   * Check if a priority class has room for another request
+   */
+  isFull(priority) {
+    return this.getDepth(priority) >= this.getMaxSize(priority);
+  }
+
+  /**
+   * Get the number of queued requests in a priority class
+   */
+  getDepth(priority) {
+    return this.classes.get(priority)?.length || 0;
+  }
+
+  /**
+   * Add an item ({ priority, seq, enqueuedAt, ... }) in sequence order within its class
+   * New items go to the back; re-queued items return to their original position
+   */
+  push(item) {
+    if (!this.classes.has(item.priority)) {
+      this.classes.set(item.priority, []);
+    }
+
+    const items = this.classes.get(item.priority);
+    const index = items.findIndex(queued => queued.seq > item.seq);
+    items.splice(index === -1 ? items.length : index, 0, item);
+    this.length++;
+  }
+
+  /**
+   * Remove and return the next item to dispatch, or undefined if empty
+   * Compares the oldest item of each class by its aged rank; ties go to the higher class
+   */
+  shift() {
+    const now = Date.now();
+    const agingMs = this.config.priority.agingMs;
+    let best = null;
+    let bestRank = Infinity;
+
+    this.classes.forEach((items, priority) => {
+      if (items.length === 0) {
+        return;
+      }
+
+      const rank = this.getRank(priority);
+      const promotion = agingMs > 0 ? Math.floor((now - items[0].enqueuedAt) / agingMs) : 0;
+      const agedRank = Math.max(0, rank - promotion);
+
+      if (agedRank < bestRank || (agedRank === bestRank && rank < this.getRank(best))) {
+        best = priority;
+        bestRank = agedRank;
+      }
+    });
+
+    if (best === null) {
+      return undefined;
+    }
+
+    this.length--;
+    return this.classes.get(best).shift();
+  }
+
+  /**
+   * Remove a specific item (e.g. when its client disconnects)
+   * Returns false if the item is no longer queued
+   */
+  remove(item) {
+    const items = this.classes.get(item.priority);
+    const index = items ? items.indexOf(item) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    items.splice(index, 1);
+    this.length--;
+    return true;
+  }
+
+  /**
+   * Remove and return every queued item
+   */
+  drain() {
+    const items = [];
+    this.classes.forEach(queued => items.push(...queued));
+    this.classes.clear();
+    this.length = 0;
+    return items.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Get queue depth per priority class, listing every configured class
+   */
+  getDepthByPriority() {
+    const depths = {};
+    this.config.priority.classes.forEach(priority => {
+      depths[priority] = this.getDepth(priority);
+    });
+    this.classes.forEach((items, priority) => {
+      if (items.length > 0) {
+        depths[priority] = items.length;
+      }
+    });
+    return depths;
+  }
+}
+
+module.exports = RequestQueue;
@@ -1,61 +1,876 @@
+const ResponseCache = require('./ResponseCache');
+const LatencySketch = require('./LatencySketch');
+const RoutingRules = require('./RoutingRules');
+const metrics = require('../utils/metrics');
+const { createStrategy } = require('./strategies');
+const { RPC_ERRORS, ALREADY_KNOWN_PATTERN } = require('../utils/constants');
+const {
+  isHeadSensitive,
+  getRequestKey,
+  createErrorResponse,
+  matchesMethod,
+  getQuorumKey,
+  groupQuorumAnswers,
+  computeTxHash,
+  getMethodLabel
+} = require('../utils/rpc');
+
+// Error messages listed per method in /stats/methods
+const TOP_ERRORS = 5;
+
 /**
  * RequestRouter - Routes requests to available workers with failover logic
  * Holds connections open when all endpoints are rate limited
  */
 class RequestRouter {
-  constructor(workerPool, statsRepo) {
+  constructor(workerPool, statsRepo, config) {
     this.workerPool = workerPool;
     this.statsRepo = statsRepo;
+    this.config = config;
     this.requestCount = 0;
+    this.chainName = workerPool.chain.name;
+    this.cache = new ResponseCache(config.cache);
+    this.routingRules = new RoutingRules(config.routing.rules);
+    this.inFlight = new Map(); // request key -> promise of upstream response
+    this.coalescingStats = { requests: 0, coalesced: 0, methods: new Map() };
+    this.selections = new Map(); // url -> { total, strategies: { name -> count } }
+    this.buildStrategies();
+  }
+
+  /**
+   * Create the default strategy and per-method-group overrides from config
+   */
+  buildStrategies() {
+    this.strategy = createStrategy(this.config.routing.strategy);
+    this.strategyOverrides = this.config.routing.strategyOverrides.map(override => ({
+      methods: override.methods,
+      strategy: createStrategy(override.strategy)
+    }));
   }
 
   /**
-   * Route a request to an available worker
+   * Get the strategy for a method: the first matching override, else the default
+   */
+  getStrategy(method) {
+    const override = method
+      ? this.strategyOverrides.find(o => o.methods.some(pattern => matchesMethod(pattern, method)))
+      : null;
+    return override ? override.strategy : this.strategy;
+  }
+
+  /**
+   * Pick up reloaded routing rules and cache settings
+   */
+  applyConfig() {
+    this.routingRules = new RoutingRules(this.config.routing.rules);
+    this.buildStrategies();
+    this.cache.applyConfig();
+  }
+
+  /**
+   * Route a request, answering immutable results from the cache
    * Holds connection open until request can be fulfilled
+   * context carries per-request options from the client: { quorum, priority, deadlineMs }
+   * from headers and signal, which aborts when the client disconnects
    */
-  async routeRequest(rpcRequest) {
+  async routeRequest(rpcRequest, context = {}) {
     this.requestCount++;
     const requestId = this.requestCount;
+    const options = this.getDispatchOptions(context, this.getPriority(rpcRequest, context));
+
+    if (this.isBroadcast(rpcRequest.method)) {
+      this.recordRouted(rpcRequest.method, 'broadcast');
+      return this.broadcastRequest(rpcRequest, requestId, options);
+    }
+
+    // Quorum reads skip the cache and coalescing so every answer is fresh from upstream
+    const quorum = this.getQuorum(rpcRequest, context);
+    if (quorum) {
+      console.log(`[Req ${requestId}] Routing ${rpcRequest.method} in quorum mode (${quorum.threshold} of ${quorum.size})`);
+      this.recordRouted(rpcRequest.method, 'quorum');
+      return this.quorumRequest(rpcRequest, requestId, quorum, options);
+    }
+
+    const cached = this.cache.get(rpcRequest);
+    if (cached) {
+      console.log(`[Req ${requestId}] Cache hit for ${rpcRequest.method}`);
+      this.recordRouted(rpcRequest.method, 'cache');
+      return cached;
+    }
+
+    if (!this.isCoalescable(rpcRequest.method)) {
+      console.log(`[Req ${requestId}] Routing ${rpcRequest.method || 'unknown method'}`);
+      this.recordRouted(rpcRequest.method, 'upstream');
+      return this.fetchAndCache(rpcRequest, requestId, options);
+    }
+
+    // Attach to an identical request that is already in flight
+    const key = getRequestKey(rpcRequest);
+    let shared = this.inFlight.get(key);
+    this.recordCoalescing(rpcRequest.method, Boolean(shared));
+
+    if (shared) {
+      console.log(`[Req ${requestId}] Coalesced ${rpcRequest.method} with in-flight request`);
+      this.recordRouted(rpcRequest.method, 'coalesced');
+    } else {
+      console.log(`[Req ${requestId}] Routing ${rpcRequest.method || 'unknown method'}`);
+      this.recordRouted(rpcRequest.method, 'upstream');
+      shared = this.startShared(key, rpcRequest, requestId, options);
+    }
+
+    const result = await this.awaitShared(key, shared, rpcRequest, requestId, options);
+
+    // Only a response object can carry each client's own id
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      console.error(`[Req ${requestId}] Unexpected upstream answer for ${rpcRequest.method}: ${JSON.stringify(result)?.slice(0, 200)}`);
+      return createErrorResponse(rpcRequest.id, -32603, 'Internal error: invalid upstream response');
+    }
+    return { ...result, id: rpcRequest.id };
+  }
+
+  /**
+   * Start an upstream request shared by identical requests arriving while it is in flight
+   * It has no deadline of its own: each attached request waits within its own deadline,
+   * and the shared request is cancelled once none of them is waiting any more
+   */
+  startShared(key, rpcRequest, requestId, options) {
+    const controller = new AbortController();
+    const shared = { controller, waiters: 0, settled: false };
+
+    shared.promise = this.fetchAndCache(rpcRequest, requestId, {
+      priority: options.priority,
+      signal: controller.signal,
+      deadline: null
+    }).finally(() => {
+      shared.settled = true;
+      if (this.inFlight.get(key) === shared) {
+        this.inFlight.delete(key);
+      }
+    });
+    // Failures are reported to the attached requests; nothing is left waiting after a cancel
+    shared.promise.catch(() => {});
+
+    this.inFlight.set(key, shared);
+    return shared;
+  }
+
+  /**
+   * Wait for a shared upstream request until it settles, the client disconnects
+   * or the request's deadline passes
+   */
+  awaitShared(key, shared, rpcRequest, requestId, options) {
+    if (options.signal?.aborted) {
+      return Promise.reject(this.createCancelledError());
+    }
+
+    shared.waiters++;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let done = false;
+
+      const finish = (settle, value) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+
+        // Last one out cancels the upstream request so it leaves the worker queue
+        shared.waiters--;
+        if (shared.waiters === 0 && !shared.settled) {
+          if (this.inFlight.get(key) === shared) {
+            this.inFlight.delete(key);
+          }
+          shared.controller.abort();
+        }
+
+        settle(value);
+      };
+
+      const onAbort = () => finish(reject, this.createCancelledError());
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (options.deadline) {
+        timer = setTimeout(
+          () => finish(resolve, this.createDeadlineResponse(rpcRequest, requestId, options)),
+          Math.max(0, options.deadline - Date.now())
+        );
+      }
+
+      shared.promise.then(result => finish(resolve, result), error => finish(reject, error));
+    });
+  }
+
+  /**
+   * Build the options a request is dispatched with: its priority class, the client
+   * disconnect signal and the deadline after which holding it gives up.
+   * The hold time is routing.maxHoldMs, shortened by the client's deadline header
+   */
+  getDispatchOptions(context, priority) {
+    const limits = [this.config.routing.maxHoldMs, context.deadlineMs].filter(ms => ms > 0);
+    const holdMs = limits.length > 0 ? Math.min(...limits) : null;
+
+    return {
+      priority,
+      signal: context.signal || null,
+      holdMs,
+      deadline: holdMs ? Date.now() + holdMs : null
+    };
+  }
+
+  /**
+   * Build the error response for a request not served within its hold time
+   */
+  createDeadlineResponse(rpcRequest, requestId, options) {
+    console.log(`[Req ${requestId}] ${rpcRequest.method} not served within ${options.holdMs}ms, giving up`);
+    return createErrorResponse(
+      rpcRequest.id,
+      RPC_ERRORS.DEADLINE_EXCEEDED,
+      `Request not served within ${options.holdMs}ms`,
+      { holdMs: options.holdMs }
+    );
+  }
+
+  /**
+   * Build the error a request is abandoned with when no client waits for it any more
+   */
+  createCancelledError() {
+    const error = new Error('Client disconnected');
+    error.code = 'REQUEST_CANCELLED';
+    return error;
+  }
+
+  /**
+   * Route a JSON-RPC batch, answering every item with its original id and in order
+   * Cached items are answered from memory and broadcast or quorum items are routed
+   * one by one; the rest go upstream as batches split across endpoints
+   */
+  async routeBatch(requests, context = {}) {
+    this.requestCount++;
+    const requestId = this.requestCount;
+    const responses = new Array(requests.length);
+    const batchable = []; // { index, request }
+    const single = [];
+
+    requests.forEach((request, index) => {
+      if (!this.config.batch.enabled || this.isBroadcast(request.method) || this.getQuorum(request, context)) {
+        single.push(index);
+        return;
+      }
+
+      const cached = this.cache.get(request);
+      if (cached) {
+        this.recordRouted(request.method, 'cache');
+        responses[index] = cached;
+        return;
+      }
+
+      this.recordRouted(request.method, 'upstream');
+      batchable.push({ index, request });
+    });
+
+    console.log(`[Req ${requestId}] Batch of ${requests.length}: ${batchable.length} upstream, ${single.length} routed singly, ${requests.length - batchable.length - single.length} cached`);
+
+    const options = this.getDispatchOptions(context, this.getBatchPriority(batchable.map(item => item.request), context));
 
-    console.log(`[Req ${requestId}] Routing ${rpcRequest.method || 'unknown method'}`);
+    await Promise.all([
+      this.forwardBatch(batchable, requestId, options).then(answers => {
+        answers.forEach((response, item) => {
+          responses[item.index] = response;
+        });
+      }),
+      ...single.map(index => this.routeRequest(requests[index], context)
+        .catch(error => createErrorResponse(requests[index].id, -32603, `Internal error: ${error.message}`))
+        .then(response => {
+          responses[index] = response;
+        }))
+    ]);
+
+    return responses;
+  }
+
+  /**
+   * Get the priority class of a batch: the highest class among its items
+   */
+  getBatchPriority(requests, context) {
+    const classes = this.config.priority.classes;
+    const ranks = requests.map(request => classes.indexOf(this.getPriority(request, context)));
+    return ranks.length > 0 ? classes[Math.min(...ranks)] : this.config.priority.default;
+  }
+
+  /**
+   * Send batch items upstream in chunks, retrying failed items once on other endpoints
+   * Items no batch could serve fall back to single-request routing (failover and holding)
+   * Returns a Map of item -> response
+   */
+  async forwardBatch(items, requestId, options) {
+    const answers = new Map();
+    const triedBy = new Map(); // item -> Set of worker urls that failed it
+    let pending = items;
+
+    for (let round = 0; round < 2 && pending.length > 0; round++) {
+      if (options.signal?.aborted || (options.deadline && Date.now() >= options.deadline)) {
+        break;
+      }
+      pending = await this.dispatchBatchRound(pending, requestId, options, triedBy, answers);
+    }
+
+    if (pending.length > 0) {
+      console.log(`[Req ${requestId}] Routing ${pending.length} batch items singly`);
+    }
+
+    await Promise.all(pending.map(item => this.forwardRequest(item.request, requestId, options)
+      .then(result => {
+        this.cache.set(item.request, result, this.workerPool.getBestHead());
+        answers.set(item, result);
+      }, error => {
+        answers.set(item, createErrorResponse(item.request.id, -32603, `Internal error: ${error.message}`));
+      })));
+
+    return answers;
+  }
+
+  /**
+   * Split items into chunks for the available endpoints and send them
+   * Items are grouped by the endpoints able to serve them (routing rules, capabilities,
+   * head lag, endpoints that already failed them); each group is spread over its
+   * endpoints in chunks no larger than an endpoint's maximum batch size.
+   * Returns the items still unanswered
+   */
+  async dispatchBatchRound(items, requestId, options, triedBy, answers) {
+    const available = this.workerPool.getAvailableWorkers().filter(w => w.canAccept(options.priority));
+    const groups = new Map(); // worker urls -> { workers, items }
+    const unserved = [];
+
+    items.forEach(item => {
+      const { isEligible } = this.getEligibility(item.request);
+      const tried = triedBy.get(item) || new Set();
+      const workers = this.filterLaggingWorkers(available.filter(isEligible), item.request)
+        .filter(w => !tried.has(w.url));
+
+      if (workers.length === 0) {
+        unserved.push(item);
+        return;
+      }
+
+      const key = workers.map(w => w.url).join(' ');
+      if (!groups.has(key)) {
+        groups.set(key, { workers, items: [] });
+      }
+      groups.get(key).items.push(item);
+    });
+
+    const chunks = [];
+    const assigned = new Set();
+    groups.forEach(group => {
+      // Share large batches between endpoints, but not in chunks too small to be worth it
+      const target = Math.max(this.config.batch.minChunkSize, Math.ceil(group.items.length / group.workers.length));
+      let offset = 0;
+
+      while (offset < group.items.length) {
+        // Give every endpoint a chunk before any gets a second one
+        const idle = group.workers.filter(w => !assigned.has(w));
+        const worker = this.selectWorker(idle.length > 0 ? idle : group.workers, group.items[offset].request);
+        assigned.add(worker);
+        const size = Math.min(target, worker.getMaxBatchSize());
+        const chunk = group.items.slice(offset, offset + size);
+        offset += chunk.length;
+        chunks.push(this.sendBatchChunk(worker, chunk, requestId, options, triedBy, answers));
+      }
+    });
+
+    const failed = await Promise.all(chunks);
+    return [...unserved, ...failed.flat()];
+  }
+
+  /**
+   * Send one chunk of batch items to a worker as a single upstream call
+   * Upstream ids are the positions in the chunk, so duplicate client ids can't mix up answers.
+   * Returns the items that failed
+   */
+  async sendBatchChunk(worker, chunk, requestId, options, triedBy, answers) {
+    const failed = [];
+    const markFailed = (item, excludeWorker) => {
+      if (excludeWorker) {
+        if (!triedBy.has(item)) {
+          triedBy.set(item, new Set());
+        }
+        triedBy.get(item).add(worker.url);
+      }
+      failed.push(item);
+    };
+
+    console.log(`[Req ${requestId}] Sending ${chunk.length} batch items to ${worker.name} (queue: ${worker.getQueueLength()})`);
+
+    try {
+      // A chunk of one is sent as a plain request (e.g. to endpoints without batch support)
+      const upstream = chunk.map((item, position) => ({ ...item.request, id: position }));
+      const data = chunk.length === 1
+        ? [await this.awaitWithinDeadline(worker.queueRequest(upstream[0], options), options)]
+        : await this.awaitWithinDeadline(worker.queueRequest(upstream, options), options);
+      const byPosition = new Map(data.map(answer => [answer?.id, answer]));
+
+      chunk.forEach((item, position) => {
+        const answer = byPosition.get(position);
+        if (!answer || (answer.error && worker.isTemporaryError(answer.error))) {
+          markFailed(item, true);
+          return;
+        }
+
+        const response = { ...answer, id: item.request.id };
+        this.cache.set(item.request, response, this.workerPool.getBestHead());
+        answers.set(item, response);
+      });
+    } catch (error) {
+      console.log(`[Req ${requestId}] Batch chunk failed with ${worker.name}: ${error.message}`);
+      // A size refusal only shrinks the endpoint's batches; the items may return to it
+      chunk.forEach(item => markFailed(item, error.code !== 'BATCH_TOO_LARGE'));
+
+      if (!['BATCH_TOO_LARGE', 'REQUEST_CANCELLED', 'DEADLINE_EXCEEDED'].includes(error.code)) {
+        metrics.failovers.inc({
+          chain: this.chainName,
+          endpoint: worker.name,
+          reason: error.code === 'TEMPORARY_ERROR' ? 'temporary_error' : 'error'
+        });
+      }
+    }
+
+    if (failed.length > 0 && failed.length < chunk.length) {
+      console.log(`[Req ${requestId}] ${failed.length} of ${chunk.length} batch items failed with ${worker.name}`);
+    }
+
+    return failed;
+  }
+
+  /**
+   * Check if a method is a transaction submission sent to every endpoint
+   */
+  isBroadcast(method) {
+    return this.config.broadcast.enabled && this.config.broadcast.methods.includes(method);
+  }
+
+  /**
+   * Send a raw transaction to every available endpoint (or those carrying broadcast.tags)
+   * Answers with the first accepted tx hash; "already known" errors count as accepted.
+   * Every endpoint's answer is logged against the tx hash. When nobody accepted it, the
+   * first rejection is returned, or the deadline/cancel error if the request was abandoned.
+   * The client is answered at the deadline while endpoints are still sending
+   */
+  broadcastRequest(rpcRequest, requestId, options) {
+    const targets = this.workerPool.getAvailableWorkers().filter(w => w.hasTags(this.config.broadcast.tags));
+
+    // Nothing to broadcast to right now: hold and send to one endpoint like any other request
+    if (targets.length === 0) {
+      console.log(`[Req ${requestId}] No endpoint available for broadcast, routing normally`);
+      return this.forwardRequest(rpcRequest, requestId, options);
+    }
+
+    const txHash = computeTxHash(rpcRequest.params?.[0]);
+    console.log(`[Req ${requestId}] Broadcasting ${txHash || 'transaction'} to ${targets.length} endpoints`);
+
+    // Every endpoint's outcome is still recorded after the client got the deadline error
+    const broadcast = new Promise((resolve, reject) => {
+      let pending = targets.length;
+      let answered = false;
+      let rejection = null;
+      let lastError = null;
+
+      targets.forEach(worker => {
+        const startTime = Date.now();
+
+        worker.queueRequest(rpcRequest, options)
+          .then(response => ({ response }), error => ({ error }))
+          .then(({ response, error }) => {
+            // Temporary-looking errors (e.g. -32000 "already known") arrive as rejections
+            const rpcError = response ? response.error : error.rpcError;
+            let outcome = 'failed';
+            if (response && !response.error) {
+              outcome = 'accepted';
+            } else if (rpcError && ALREADY_KNOWN_PATTERN.test(rpcError.message || '')) {
+              outcome = 'already_known';
+            } else if (rpcError) {
+              outcome = 'rejected';
+            }
+
+            const hash = outcome === 'accepted' ? response.result : txHash;
+            const message = rpcError?.message || error?.message || null;
+
+            console.log(`[Req ${requestId}] Broadcast ${outcome} by ${worker.name}${message ? ` (${message})` : ''}`);
+            metrics.broadcasts.inc({ chain: this.chainName, endpoint: worker.name, outcome });
+            if (txHash || hash) {
+              this.statsRepo.recordBroadcast(txHash || hash, this.chainName, worker.endpointId, outcome, message, Date.now() - startTime);
+            }
+
+            if (!answered && hash && (outcome === 'accepted' || outcome === 'already_known')) {
+              answered = true;
+              resolve({ jsonrpc: '2.0', result: hash, id: rpcRequest.id });
+            } else if (outcome === 'rejected' && !rejection) {
+              rejection = createErrorResponse(rpcRequest.id, rpcError.code, rpcError.message, rpcError.data);
+            } else if (outcome === 'failed') {
+              lastError = error;
+            }
+          })
+          .finally(() => {
+            pending--;
+            if (pending > 0 || answered) {
+              return;
+            }
+
+            // Nobody accepted: return the first endpoint's rejection (e.g. nonce too low)
+            if (rejection) {
+              resolve(rejection);
+            } else if (options.signal?.aborted) {
+              console.log(`[Req ${requestId}] No client waiting for ${rpcRequest.method} any more, dropping it`);
+              reject(this.createCancelledError());
+            } else if (options.deadline && Date.now() >= options.deadline) {
+              resolve(this.createDeadlineResponse(rpcRequest, requestId, options));
+            } else {
+              metrics.routingFailures.inc({ chain: this.chainName, method: getMethodLabel(rpcRequest.method), reason: 'all_failed' });
+              reject(new Error(`All RPC endpoints failed: ${lastError?.message || 'Unknown error'}`));
+            }
+          });
+      });
+    });
+
+    return this.respondWithinDeadline(broadcast, rpcRequest, requestId, options);
+  }
+
+  /**
+   * Get the priority class for a request: the client's choice (header or API key),
+   * else the first matching priority rule, else priority.default
+   */
+  getPriority(rpcRequest, context) {
+    const settings = this.config.priority;
+
+    if (context.priority && settings.classes.includes(context.priority)) {
+      return context.priority;
+    }
+
+    const rule = settings.rules.find(r => r.methods.some(pattern => matchesMethod(pattern, rpcRequest.method)));
+    return rule ? rule.priority : settings.default;
+  }
+
+  /**
+   * Get the quorum settings for a request, or null if it isn't a quorum read
+   * A request header overrides the per-method configuration
+   */
+  getQuorum(rpcRequest, context) {
+    const settings = this.config.quorum;
+
+    if (context.quorum === false) {
+      return null;
+    }
+
+    if (context.quorum) {
+      return {
+        size: context.quorum.size ?? settings.size,
+        threshold: context.quorum.threshold ?? settings.threshold
+      };
+    }
+
+    if (settings.methods.some(pattern => matchesMethod(pattern, rpcRequest.method))) {
+      return { size: settings.size, threshold: settings.threshold };
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a request to several endpoints at once and answer once enough of them agree
+   * on the canonical form of the result. Endpoints that fail are replaced by other
+   * eligible endpoints while any remain. The client is answered at the deadline;
+   * later answers still count towards disagreements.
+   * While fewer than quorum.threshold endpoints are available the request is held
+   * like any other; it fails at once only if too few endpoints could ever serve it
+   */
+  async quorumRequest(rpcRequest, requestId, quorum, options) {
+    const { isEligible } = this.getEligibility(rpcRequest);
+    const eligible = this.workerPool.getAllWorkers().filter(isEligible).length;
+
+    if (eligible < quorum.threshold) {
+      console.log(`[Req ${requestId}] Quorum needs ${quorum.threshold} endpoints, ${eligible} can serve ${rpcRequest.method}`);
+      metrics.quorumRequests.inc({ chain: this.chainName, method: getMethodLabel(rpcRequest.method), outcome: 'unavailable' });
+      return createErrorResponse(
+        rpcRequest.id,
+        RPC_ERRORS.QUORUM_NOT_REACHED,
+        `Quorum needs ${quorum.threshold} endpoints, ${eligible} can serve ${rpcRequest.method}`,
+        { required: quorum.threshold, responses: 0 }
+      );
+    }
+
+    let candidates;
+    while (true) {
+      if (options.signal?.aborted) {
+        console.log(`[Req ${requestId}] No client waiting for ${rpcRequest.method} any more, dropping it`);
+        throw this.createCancelledError();
+      }
+
+      candidates = this.filterLaggingWorkers(this.workerPool.getAvailableWorkers().filter(isEligible), rpcRequest);
+      if (candidates.length >= quorum.threshold) {
+        break;
+      }
+
+      if (options.deadline && Date.now() >= options.deadline) {
+        metrics.quorumRequests.inc({ chain: this.chainName, method: getMethodLabel(rpcRequest.method), outcome: 'unavailable' });
+        return this.createDeadlineResponse(rpcRequest, requestId, options);
+      }
+      await this.waitForRecovery(requestId, options, `Quorum needs ${quorum.threshold} endpoints, ${candidates.length} available`);
+    }
+
+    const remaining = [...candidates];
+    const nextWorker = () => {
+      const worker = this.selectWorker(remaining, rpcRequest);
+      remaining.splice(remaining.indexOf(worker), 1);
+      return worker;
+    };
+
+    const answers = []; // { worker, key, response }
+    let pending = 0;
+    let answered = false;
+
+    const agreement = new Promise(resolve => {
+      const dispatch = (worker) => {
+        pending++;
+
+        worker.queueRequest(rpcRequest, options)
+          .then(response => {
+            const key = getQuorumKey(response);
+            answers.push({ worker, key, response });
+
+            // Answer as soon as enough endpoints agree; the rest still count towards disagreements
+            if (!answered && answers.filter(a => a.key === key).length >= quorum.threshold) {
+              answered = true;
+              resolve(response);
+            }
+          })
+          .catch(error => {
+            console.log(`[Req ${requestId}] Quorum call failed with ${worker.name}: ${error.message}`);
+            // No replacement once the client is gone or the deadline has passed
+            if (remaining.length > 0 && !['REQUEST_CANCELLED', 'DEADLINE_EXCEEDED'].includes(error.code)) {
+              dispatch(nextWorker());
+            }
+          })
+          .finally(() => {
+            pending--;
+            if (pending === 0) {
+              const failure = this.settleQuorum(rpcRequest, requestId, quorum, answers, answered);
+              if (!answered) {
+                resolve(failure);
+              }
+            }
+          });
+      };
+
+      for (let i = 0; i < Math.min(quorum.size, candidates.length); i++) {
+        dispatch(nextWorker());
+      }
+    });
+
+    return this.respondWithinDeadline(agreement, rpcRequest, requestId, options);
+  }
+
+  /**
+   * Record the outcome of a quorum request once every endpoint has answered or failed
+   * Endpoints outside the largest group of identical answers (or every endpoint, if
+   * the largest groups tie) are counted as disagreeing.
+   * Returns the error response to use when no quorum was reached
+   */
+  settleQuorum(rpcRequest, requestId, quorum, answers, agreed) {
+    const { sizes, dissenters } = groupQuorumAnswers(answers);
+
+    if (dissenters.length > 0) {
+      dissenters.forEach(({ worker }) => {
+        this.statsRepo.recordDisagreement(worker.endpointId);
+        metrics.quorumDisagreements.inc({ chain: this.chainName, endpoint: worker.name });
+      });
+      console.log(`[Req ${requestId}] Quorum answers differ: ${sizes.join(' / ')}; disagreeing: ${dissenters.map(a => a.worker.name).join(', ')}`);
+    }
+
+    metrics.quorumRequests.inc({
+      chain: this.chainName,
+      method: getMethodLabel(rpcRequest.method),
+      outcome: agreed ? 'agreed' : 'not_reached'
+    });
+
+    if (agreed) {
+      return null;
+    }
+
+    const message = answers.length < quorum.threshold
+      ? `Quorum not reached: ${answers.length} of ${quorum.size} endpoints answered, ${quorum.threshold} must agree`
+      : `Quorum not reached: endpoints disagree (largest agreement ${sizes[0]}, ${quorum.threshold} required)`;
+    console.log(`[Req ${requestId}] ${message}`);
+
+    return createErrorResponse(rpcRequest.id, RPC_ERRORS.QUORUM_NOT_REACHED, message, {
+      required: quorum.threshold,
+      responses: answers.length,
+      groups: sizes
+    });
+  }
+
+  /**
+   * Forward a request upstream and cache the result if it is immutable
+   */
+  async fetchAndCache(rpcRequest, requestId, options) {
+    const result = await this.forwardRequest(rpcRequest, requestId, options);
+    this.cache.set(rpcRequest, result, this.workerPool.getBestHead());
+    return result;
+  }
+
+  /**
+   * Count a client request by how it was answered
+   */
+  recordRouted(method, source) {
+    metrics.routedRequests.inc({ chain: this.chainName, method: getMethodLabel(method), source });
+  }
+
+  /**
+   * Check if identical in-flight requests for a method may share one upstream call
+   */
+  isCoalescable(method) {
+    return this.config.coalescing.enabled && !this.config.coalescing.excludeMethods.includes(method);
+  }
+
+  /**
+   * Track how many coalescable requests were attached to an in-flight request
+   */
+  recordCoalescing(method, coalesced) {
+    const label = getMethodLabel(method);
+    if (!this.coalescingStats.methods.has(label)) {
+      this.coalescingStats.methods.set(label, { requests: 0, coalesced: 0 });
+    }
+    const methodStats = this.coalescingStats.methods.get(label);
+
+    this.coalescingStats.requests++;
+    methodStats.requests++;
+
+    if (coalesced) {
+      this.coalescingStats.coalesced++;
+      methodStats.coalesced++;
+    }
+  }
+
+  /**
+   * Get coalescing statistics for monitoring
+   */
+  getCoalescingStats() {
+    const { requests, coalesced, methods } = this.coalescingStats;
+
+    return {
+      enabled: this.config.coalescing.enabled,
+      inFlight: this.inFlight.size,
+      requests,
+      coalesced,
+      ratio: requests > 0 ? (coalesced / requests).toFixed(3) : null,
+      methods: Object.fromEntries(
+        [...methods].map(([method, stats]) => [method, {
+          ...stats,
+          ratio: (stats.coalesced / stats.requests).toFixed(3)
+        }])
+      )
+    };
+  }
+
+  /**
+   * Build the check restricting a request to endpoints carrying the tags a routing
+   * rule requires and whose probed capabilities cover the request
+   */
+  getEligibility(rpcRequest) {
+    const bestHead = this.workerPool.getBestHead();
+    const requiredTags = this.routingRules.getRequiredTags(rpcRequest, bestHead);
+
+    return {
+      requiredTags,
+      isEligible: (w) => w.hasTags(requiredTags) && w.supportsRequest(rpcRequest, bestHead)
+    };
+  }
+
+  /**
+   * Forward a request to an available worker with failover
+   */
+  async forwardRequest(rpcRequest, requestId, options = {}) {
+    const { requiredTags, isEligible } = this.getEligibility(rpcRequest);
+    const eligibleWorkers = this.workerPool.getAllWorkers().filter(isEligible);
+
+    if (eligibleWorkers.length === 0) {
+      const reason = requiredTags.length > 0
+        ? `requires tags: ${requiredTags.join(', ')}`
+        : 'not supported by any endpoint';
+      console.log(`[Req ${requestId}] No endpoint available for ${rpcRequest.method} (${reason})`);
+      metrics.routingFailures.inc({ chain: this.chainName, method: getMethodLabel(rpcRequest.method), reason: 'no_eligible_endpoint' });
+      return createErrorResponse(
+        rpcRequest.id,
+        RPC_ERRORS.NO_MATCHING_ENDPOINT,
+        `No endpoint available for ${rpcRequest.method} (${reason})`
+      );
+    }
 
     let attempts = 0;
-    const maxRetries = this.workerPool.getAllWorkers().length * 2; // Try each worker up to 2 times
+    const maxRetries = eligibleWorkers.length * 2; // Try each worker up to 2 times
     const triedWorkers = new Set();
     let lastError = null;
 
     while (true) {
+      // Stop holding once the client is gone or the hold time has run out
+      if (options.signal?.aborted) {
+        console.log(`[Req ${requestId}] No client waiting for ${rpcRequest.method} any more, dropping it`);
+        throw this.createCancelledError();
+      }
+      if (options.deadline && Date.now() >= options.deadline) {
+        return this.createDeadlineResponse(rpcRequest, requestId, options);
+      }
+
       attempts++;
 
       // Get available workers that we haven't tried yet (or try all if we've tried all)
-      const availableWorkers = this.workerPool.getAvailableWorkers();
+      const eligibleAvailable = this.filterLaggingWorkers(
+        this.workerPool.getAvailableWorkers().filter(isEligible),
+        rpcRequest
+      );
+      // Prefer endpoints whose queue for this priority class has room
+      const withRoom = eligibleAvailable.filter(w => w.canAccept(options.priority));
+      const availableWorkers = withRoom.length > 0 ? withRoom : eligibleAvailable;
       const untriedWorkers = availableWorkers.filter(w => !triedWorkers.has(w.url));
       const workersToTry = untriedWorkers.length > 0 ? untriedWorkers : availableWorkers;
 
       if (workersToTry.length > 0) {
         // Select least loaded worker
-        const worker = this.selectWorker(workersToTry);
+        const worker = this.selectWorker(workersToTry, rpcRequest);
 
-        console.log(`[Req ${requestId}] Attempting with ${worker.url} (queue: ${worker.getQueueLength()}, attempt ${attempts})`);
+        console.log(`[Req ${requestId}] Attempting with ${worker.name} (queue: ${worker.getQueueLength()}, attempt ${attempts})`);
 
         try {
-          const result = await worker.queueRequest(rpcRequest);
-          console.log(`[Req ${requestId}] Success with ${worker.url}`);
+          const result = await this.awaitWithinDeadline(worker.queueRequest(rpcRequest, options), options);
+          console.log(`[Req ${requestId}] Success with ${worker.name}`);
           return result;
         } catch (error) {
+          // Dropped from the worker queue or out of time: no failover, the loop check answers
+          if (error.code === 'REQUEST_CANCELLED' || error.code === 'DEADLINE_EXCEEDED') {
+            continue;
+          }
+
           lastError = error;
           triedWorkers.add(worker.url);
 
+          metrics.failovers.inc({
+            chain: this.chainName,
+            endpoint: worker.name,
+            reason: error.code === 'TEMPORARY_ERROR' ? 'temporary_error' : 'error'
+          });
+
           // Check if this is a temporary error that should trigger retry
           if (error.code === 'TEMPORARY_ERROR') {
-            console.log(`[Req ${requestId}] Temporary error from ${worker.url}, trying next endpoint`);
+            console.log(`[Req ${requestId}] Temporary error from ${worker.name}, trying next endpoint`);
           } else {
-            console.log(`[Req ${requestId}] Failed with ${worker.url}: ${error.message}`);
+            console.log(`[Req ${requestId}] Failed with ${worker.name}: ${error.message}`);
           }
 
           // If we've tried all available workers, check if we should give up
           if (triedWorkers.size >= availableWorkers.length && attempts >= maxRetries) {
             console.error(`[Req ${requestId}] All ${availableWorkers.length} workers failed after ${attempts} attempts`);
+            metrics.routingFailures.inc({ chain: this.chainName, method: getMethodLabel(rpcRequest.method), reason: 'all_failed' });
             throw new Error(`All RPC endpoints failed: ${lastError?.message || 'Unknown error'}`);
           }
 
@@ -69,28 +884,142 @@ class RequestRouter {
         }
       } else {
         // All endpoints rate limited - wait for recovery
-        const recoveryTime = this.workerPool.getShortestRecoveryTime();
-        const waitTime = Math.min(recoveryTime || 5000, 5000); // Check every 5s max
+        await this.waitForRecovery(requestId, options, 'All endpoints rate limited');
+      }
+    }
+  }
+
+  /**
+   * Hold a request until the first endpoint cooldown ends (checking every 5s at most),
+   * but not past the request's deadline
+   */
+  async waitForRecovery(requestId, options, reason) {
+    const recoveryTime = this.workerPool.getShortestRecoveryTime();
+    let waitTime = Math.min(recoveryTime || 5000, 5000);
+    if (options.deadline) {
+      waitTime = Math.min(waitTime, Math.max(0, options.deadline - Date.now()));
+    }
+
+    console.log(`[Req ${requestId}] ${reason}. Waiting ${(waitTime / 1000).toFixed(1)}s...`);
+    metrics.holdWaits.inc({ chain: this.chainName });
+
+    await this.sleep(waitTime, options.signal);
+  }
+
+  /**
+   * Wait for a dispatched request within the request's deadline
+   * The worker only drops requests still queued at the deadline; one already sent
+   * upstream runs to completion, but the client is not held past the deadline for it
+   */
+  awaitWithinDeadline(promise, options) {
+    if (!options.deadline) {
+      return promise;
+    }
 
-        console.log(`[Req ${requestId}] All endpoints rate limited. Waiting ${(waitTime / 1000).toFixed(1)}s...`);
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error('Deadline passed while in flight');
+        error.code = 'DEADLINE_EXCEEDED';
+        reject(error);
+      }, Math.max(0, options.deadline - Date.now()));
+    });
+
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
 
-        await this.sleep(waitTime);
+  /**
+   * Wait for a request's response within its deadline, answering with the deadline
+   * error once it passes
+   */
+  respondWithinDeadline(promise, rpcRequest, requestId, options) {
+    return this.awaitWithinDeadline(promise, options).catch(error => {
+      if (error.code === 'DEADLINE_EXCEEDED') {
+        return this.createDeadlineResponse(rpcRequest, requestId, options);
       }
+      throw error;
+    });
+  }
+
+  /**
+   * Drop workers lagging too far behind the best known head for head-sensitive methods
+   * Workers with an unknown head are only used when no head is known at all
+   */
+  filterLaggingWorkers(workers, rpcRequest) {
+    if (!isHeadSensitive(rpcRequest.method, rpcRequest.params, this.config.routing.headSensitiveMethods)) {
+      return workers;
+    }
+
+    const bestHead = this.workerPool.getBestHead(workers);
+    if (bestHead === null) {
+      return workers;
     }
+
+    const maxLag = this.config.routing.maxBlockLag;
+    return workers.filter(w => {
+      const lag = w.getBlockLag(bestHead);
+      return lag !== null && lag <= maxLag;
+    });
   }
 
   /**
-   * Select worker using least-loaded strategy
+   * Select a worker with the strategy configured for the request's method
+   * (the default strategy when no request is given)
    */
-  selectWorker(workers) {
+  selectWorker(workers, rpcRequest = null) {
     if (workers.length === 0) {
       return null;
     }
 
-    // Find worker with shortest queue
-    return workers.reduce((min, worker) =>
-      worker.getQueueLength() < min.getQueueLength() ? worker : min
-    );
+    // Endpoints nearing a compute unit cap are passed over more often the closer they get
+    const undeferred = workers.filter(w => Math.random() >= w.computeUnits.getDeferChance());
+    const candidates = undeferred.length > 0 ? undeferred : workers;
+
+    const strategy = this.getStrategy(rpcRequest?.method);
+    const worker = strategy.select(candidates);
+
+    if (rpcRequest) {
+      this.recordSelection(worker, strategy);
+    }
+
+    return worker;
+  }
+
+  /**
+   * Count which endpoint each strategy sent traffic to
+   */
+  recordSelection(worker, strategy) {
+    let entry = this.selections.get(worker.url);
+    if (!entry) {
+      entry = { total: 0, strategies: {} };
+      this.selections.set(worker.url, entry);
+    }
+
+    entry.total++;
+    entry.strategies[strategy.name] = (entry.strategies[strategy.name] || 0) + 1;
+  }
+
+  /**
+   * Get the active strategies and how traffic has been spread across endpoints
+   */
+  getRoutingStats() {
+    const total = [...this.selections.values()].reduce((sum, entry) => sum + entry.total, 0);
+    const distribution = {};
+
+    this.workerPool.getAllWorkers().forEach(worker => {
+      const entry = this.selections.get(worker.url) || { total: 0, strategies: {} };
+      distribution[worker.name] = {
+        requests: entry.total,
+        share: total > 0 ? Number((entry.total / total).toFixed(3)) : null,
+        byStrategy: entry.strategies
+      };
+    });
+
+    return {
+      strategy: this.strategy.name,
+      overrides: this.strategyOverrides.map(o => ({ methods: o.methods, strategy: o.strategy.name })),
+      distribution
+    };
   }
 
   /**
@@ -101,10 +1030,11 @@ class RequestRouter {
   }
 
   /**
-   * Get statistics from database
+   * Get statistics from database for this router's endpoints
    */
-  async getStatistics() {
-    const endpointStats = this.statsRepo.getEndpointStatistics();
+  async getStatistics(range = null) {
+    const workersById = new Map(this.workerPool.getAllWorkers().map(w => [w.endpointId, w]));
+    const endpointStats = this.statsRepo.getEndpointStatistics().filter(s => workersById.has(s.id));
 
     const totalRequests = endpointStats.reduce((sum, s) => sum + (s.total_requests || 0), 0);
     const totalSuccessful = endpointStats.reduce((sum, s) => sum + (s.successful_requests || 0), 0);
@@ -119,28 +1049,189 @@ class RequestRouter {
         totalRateLimited,
         successRate: totalRequests > 0 ? (totalSuccessful / totalRequests).toFixed(3) : null
       },
+      routing: this.getRoutingStats(),
+      cache: this.cache.getStats(),
+      coalescing: this.getCoalescingStats(),
       endpoints: endpointStats.map(stat => ({
-        url: stat.url,
+        name: workersById.get(stat.id).name,
+        url: workersById.get(stat.id).getDisplayUrl(),
         isActive: Boolean(stat.is_active),
         totalRequests: stat.total_requests || 0,
         successfulRequests: stat.successful_requests || 0,
         failedRequests: stat.failed_requests || 0,
         rateLimitedRequests: stat.rate_limited_requests || 0,
+        disagreements: stat.disagreements || 0,
         avgResponseTimeMs: stat.avg_response_time_ms || null,
         lastRequestAt: stat.last_request_at || null,
         successRate: stat.total_requests > 0
           ? ((stat.successful_requests || 0) / stat.total_requests).toFixed(3)
           : null
+      })),
+      ...(range && { window: this.getWindowStatistics(range) })
+    };
+  }
+
+  /**
+   * Get rollup statistics of this chain's endpoints for a time range
+   * range: { from, to, granularity } with Date bounds; buckets starting in the range count
+   */
+  getWindowStatistics({ from, to, granularity }) {
+    const workersById = new Map(this.workerPool.getAllWorkers().map(w => [w.endpointId, w]));
+    const endpointIds = [...workersById.keys()];
+    const rows = this.statsRepo.getRollupTotals(endpointIds, granularity, from, to);
+
+    const endpoints = new Map();
+    rows.forEach(row => {
+      if (!endpoints.has(row.endpoint_id)) {
+        endpoints.set(row.endpoint_id, { rows: [], methods: {} });
+      }
+      const entry = endpoints.get(row.endpoint_id);
+      entry.rows.push(row);
+      entry.methods[row.method] = summarizeRollups([row]);
+    });
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      granularity,
+      totals: summarizeRollups(rows),
+      endpoints: [...endpoints.entries()].map(([endpointId, entry]) => ({
+        name: workersById.get(endpointId).name,
+        ...summarizeRollups(entry.rows),
+        methods: entry.methods
+      })),
+      series: this.statsRepo.getRollupSeries(endpointIds, granularity, from, to).map(row => ({
+        bucket: row.bucket,
+        ...summarizeRollups([row])
       }))
     };
   }
 
   /**
-   * Helper: sleep for ms
+   * Get latency percentiles, success rate and top errors per method, overall and
+   * per endpoint, for a time range
+   * range: { from, to, granularity } with Date bounds; buckets starting in the range count
+   */
+  getMethodStatistics({ from, to, granularity }) {
+    const workersById = new Map(this.workerPool.getAllWorkers().map(w => [w.endpointId, w]));
+    const endpointIds = [...workersById.keys()];
+
+    const groups = {}; // method -> { rows, errors, endpoints: { name -> { rows, errors } } }
+    const groupOf = (method, endpointId) => {
+      const group = groups[method] || (groups[method] = { rows: [], errors: [], endpoints: {} });
+      const name = workersById.get(endpointId).name;
+      const endpoint = group.endpoints[name] || (group.endpoints[name] = { rows: [], errors: [] });
+      return [group, endpoint];
+    };
+
+    this.statsRepo.getRollupSketches(endpointIds, granularity, from, to).forEach(row => {
+      groupOf(row.method, row.endpoint_id).forEach(entry => entry.rows.push(row));
+    });
+    this.statsRepo.getErrorCounts(endpointIds, from, to).forEach(row => {
+      groupOf(row.method, row.endpoint_id).forEach(entry => entry.errors.push(row));
+    });
+
+    const methods = {};
+    Object.keys(groups).sort().forEach(method => {
+      const group = groups[method];
+      const endpoints = {};
+      Object.entries(group.endpoints).forEach(([name, entry]) => {
+        endpoints[name] = describeMethodUsage(entry.rows, entry.errors);
+      });
+      methods[method] = { ...describeMethodUsage(group.rows, group.errors), endpoints };
+    });
+
+    return methods;
+  }
+
+  /**
+   * Helper: sleep for ms, waking early if the signal aborts
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      signal?.addEventListener('abort', wake, { once: true });
+    });
   }
 }
 
+/**
+ * Sum rollup rows into request counts and latency figures
+ * Requests the endpoint refused for rate limiting are counted apart from errors
+ */
+function summarizeRollups(rows) {
+  const totals = rows.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    errors: sum.errors + row.errors,
+    rateLimited: sum.rateLimited + row.rate_limited,
+    latencySumMs: sum.latencySumMs + row.latency_sum_ms,
+    minResponseTimeMs: row.latency_min_ms !== null
+      ? Math.min(sum.minResponseTimeMs ?? Infinity, row.latency_min_ms)
+      : sum.minResponseTimeMs,
+    maxResponseTimeMs: row.latency_max_ms !== null
+      ? Math.max(sum.maxResponseTimeMs ?? -Infinity, row.latency_max_ms)
+      : sum.maxResponseTimeMs
+  }), { requests: 0, errors: 0, rateLimited: 0, latencySumMs: 0, minResponseTimeMs: null, maxResponseTimeMs: null });
+
+  const successful = totals.requests - totals.errors - totals.rateLimited;
+
+  return {
+    requests: totals.requests,
+    errors: totals.errors,
+    rateLimited: totals.rateLimited,
+    successRate: totals.requests > 0 ? (successful / totals.requests).toFixed(3) : null,
+    avgResponseTimeMs: totals.requests > 0 ? Math.round(totals.latencySumMs / totals.requests) : null,
+    minResponseTimeMs: totals.minResponseTimeMs,
+    maxResponseTimeMs: totals.maxResponseTimeMs
+  };
+}
+
+/**
+ * Describe a method's requests from its rollup rows and logged error counts:
+ * counts, success rate, latency percentiles from the merged sketches and the
+ * most frequent error messages
+ */
+function describeMethodUsage(rows, errorCounts) {
+  const sketch = new LatencySketch();
+  let requests = 0;
+  let errors = 0;
+  let rateLimited = 0;
+
+  rows.forEach(row => {
+    requests += row.requests;
+    errors += row.errors;
+    rateLimited += row.rate_limited;
+    if (row.latency_sketch) {
+      sketch.merge(LatencySketch.fromJSON(row.latency_sketch));
+    }
+  });
+
+  const messages = new Map();
+  errorCounts.forEach(row => {
+    const message = row.error_message || 'Unknown error';
+    messages.set(message, (messages.get(message) || 0) + row.count);
+  });
+
+  return {
+    requests,
+    errors,
+    rateLimited,
+    successRate: requests > 0 ? ((requests - errors - rateLimited) / requests).toFixed(3) : null,
+    latencyMs: {
+      p50: sketch.getQuantile(0.5),
+      p90: sketch.getQuantile(0.9),
+      p99: sketch.getQuantile(0.99)
+    },
+    topErrors: [...messages.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_ERRORS)
+      .map(([message, count]) => ({ message, count }))
+  };
+}
+
 module.exports = RequestRouter;
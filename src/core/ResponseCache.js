@@ -0,0 +1,213 @@
+const { parseQuantity, getBlockParam, getRequestKey, getMethodLabel } = require('../utils/rpc');
+
+// Methods whose result never changes for a given chain
+const STATIC_METHODS = ['eth_chainId', 'net_version'];
+
+// Methods addressed by block number - cacheable once that block is final
+const BLOCK_NUMBER_METHODS = [
+  'eth_getBlockByNumber',
+  'eth_getBlockReceipts',
+  'eth_getBlockTransactionCountByNumber',
+  'eth_getTransactionByBlockNumberAndIndex'
+];
+
+// Methods addressed by hash - cacheable once the block in the result is final
+const RESULT_BLOCK_FIELDS = {
+  eth_getBlockByHash: 'number',
+  eth_getTransactionReceipt: 'blockNumber',
+  eth_getTransactionByHash: 'blockNumber',
+  eth_getTransactionByBlockHashAndIndex: 'blockNumber'
+};
+
+/**
+ * ResponseCache - LRU cache for JSON-RPC results that can never change
+ * (finalized blocks, receipts and transactions, chain id)
+ */
+class ResponseCache {
+  constructor(config) {
+    this.config = config;
+    this.entries = new Map(); // key -> { response, expiresAt }, in LRU order
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.methodStats = new Map(); // method -> { hits, misses }
+  }
+
+  /**
+   * Check if responses for a method may be cached at all
+   */
+  isCacheableMethod(method) {
+    if (!this.config.enabled || this.config.disabledMethods.includes(method)) {
+      return false;
+    }
+
+    return STATIC_METHODS.includes(method) ||
+      BLOCK_NUMBER_METHODS.includes(method) ||
+      method in RESULT_BLOCK_FIELDS;
+  }
+
+  /**
+   * Check if a request could ever be answered from the cache
+   * Block-number methods called with a head tag ('latest', ...) never are
+   */
+  isCacheableRequest(rpcRequest) {
+    if (!this.isCacheableMethod(rpcRequest.method)) {
+      return false;
+    }
+
+    if (BLOCK_NUMBER_METHODS.includes(rpcRequest.method)) {
+      const blockParam = getBlockParam(rpcRequest.method, rpcRequest.params);
+      return blockParam === 'earliest' || parseQuantity(blockParam) !== null;
+    }
+
+    return true;
+  }
+
+  /**
+   * Look up a cached response
+   * Returns a copy with the caller's id, or null on miss
+   */
+  get(rpcRequest) {
+    if (!this.isCacheableRequest(rpcRequest)) {
+      return null;
+    }
+
+    const key = getRequestKey(rpcRequest);
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.recordLookup(rpcRequest.method, false);
+      return null;
+    }
+
+    // Move to most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    this.recordLookup(rpcRequest.method, true);
+    return { ...entry.response, id: rpcRequest.id };
+  }
+
+  /**
+   * Store a response if it can never change
+   */
+  set(rpcRequest, response, headBlock) {
+    if (!this.isCacheableRequest(rpcRequest) || !this.isImmutable(rpcRequest, response, headBlock)) {
+      return;
+    }
+
+    const key = getRequestKey(rpcRequest);
+    this.entries.delete(key);
+    this.entries.set(key, {
+      response: { jsonrpc: response.jsonrpc, result: response.result },
+      expiresAt: Date.now() + this.config.ttlMs
+    });
+
+    this.evictOverflow();
+  }
+
+  /**
+   * Evict least recently used entries beyond maxEntries
+   */
+  evictOverflow() {
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Bring stored entries in line with reloaded settings
+   */
+  applyConfig() {
+    if (!this.config.enabled) {
+      this.entries.clear();
+      return;
+    }
+
+    for (const key of this.entries.keys()) {
+      if (this.config.disabledMethods.includes(key.slice(0, key.indexOf(':')))) {
+        this.entries.delete(key);
+      }
+    }
+    this.evictOverflow();
+  }
+
+  /**
+   * Check whether a response is final and can never change
+   */
+  isImmutable(rpcRequest, response, headBlock) {
+    if (!response || response.error || response.result === undefined || response.result === null) {
+      return false;
+    }
+
+    const { method, params } = rpcRequest;
+
+    if (STATIC_METHODS.includes(method)) {
+      return true;
+    }
+
+    if (BLOCK_NUMBER_METHODS.includes(method)) {
+      const blockParam = getBlockParam(method, params);
+      if (blockParam === 'earliest') {
+        return true;
+      }
+      return this.isFinalized(parseQuantity(blockParam), headBlock);
+    }
+
+    const field = RESULT_BLOCK_FIELDS[method];
+    return this.isFinalized(parseQuantity(response.result[field]), headBlock);
+  }
+
+  /**
+   * Check whether a block is at least finalityDepth blocks below the head
+   */
+  isFinalized(blockNumber, headBlock) {
+    if (blockNumber === null || headBlock === null || headBlock === undefined) {
+      return false;
+    }
+    return blockNumber <= headBlock - this.config.finalityDepth;
+  }
+
+  /**
+   * Track hit/miss counters overall and per method
+   */
+  recordLookup(method, hit) {
+    const label = getMethodLabel(method);
+    if (!this.methodStats.has(label)) {
+      this.methodStats.set(label, { hits: 0, misses: 0 });
+    }
+    const stats = this.methodStats.get(label);
+
+    if (hit) {
+      this.hits++;
+      stats.hits++;
+    } else {
+      this.misses++;
+      stats.misses++;
+    }
+  }
+
+  /**
+   * Get cache statistics for monitoring
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.config.enabled,
+      size: this.entries.size,
+      maxEntries: this.config.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? (this.hits / lookups).toFixed(3) : null,
+      methods: Object.fromEntries(this.methodStats)
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,55 @@
+/**
+ * RetentionManager - Periodically prunes raw request_log rows and old rollups
+ * per the retention policy
+ *
+ * Settings are read from config.retention on every run, so reloads apply from the next run
+ */
+class RetentionManager {
+  constructor(config, statsRepo) {
+    this.config = config;
+    this.statsRepo = statsRepo;
+    this.timer = null;
+  }
+
+  /**
+   * Prune now and then every retention.pruneInterval
+   */
+  start() {
+    this.prune();
+    this.schedule();
+  }
+
+  /**
+   * Schedule the next run
+   */
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.prune();
+      this.schedule();
+    }, this.config.retention.pruneInterval);
+  }
+
+  /**
+   * Stop pruning
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete rows older than the retention policy allows
+   */
+  prune() {
+    const deleted = this.statsRepo.pruneStatistics(this.config.retention);
+    const summary = Object.entries(deleted)
+      .filter(([, rows]) => rows > 0)
+      .map(([table, rows]) => `${rows} from ${table}`);
+
+    if (summary.length > 0) {
+      console.log(`Pruned statistics: ${summary.join(', ')}`);
+    }
+  }
+}
+
+module.exports = RetentionManager;
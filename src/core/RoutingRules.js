@@ -0,0 +1,50 @@
+const { matchesMethod, getBlockAge } = require('../utils/rpc');
+
+/**
+ * RoutingRules - Maps methods (and optionally block age) to required endpoint tags
+ *
+ * Rule format:
+ *   { methods: ['debug_*', 'trace_*'], tags: ['trace'] }
+ *   { methods: ['eth_getBalance', 'eth_call'], minBlockAge: 128, tags: ['archive'] }
+ *
+ * The first matching rule wins.
+ */
+class RoutingRules {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Find the first rule that applies to a request
+   * Returns null if no rule matches
+   */
+  match(rpcRequest, headBlock) {
+    return this.rules.find(rule => this.ruleApplies(rule, rpcRequest, headBlock)) || null;
+  }
+
+  /**
+   * Get the endpoint tags a request requires (empty if unrestricted)
+   */
+  getRequiredTags(rpcRequest, headBlock) {
+    const rule = this.match(rpcRequest, headBlock);
+    return rule ? rule.tags : [];
+  }
+
+  /**
+   * Check whether a rule applies to a request
+   */
+  ruleApplies(rule, rpcRequest, headBlock) {
+    if (!rule.methods.some(pattern => matchesMethod(pattern, rpcRequest.method))) {
+      return false;
+    }
+
+    if (rule.minBlockAge === undefined) {
+      return true;
+    }
+
+    const blockAge = getBlockAge(rpcRequest, headBlock);
+    return blockAge !== null && blockAge >= rule.minBlockAge;
+  }
+}
+
+module.exports = RoutingRules;
@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const { parseQuantity } = require('../utils/rpc');
+
+const SUPPORTED_TYPES = ['newHeads', 'logs'];
+
+// Blocks below the last polled block within which reorgs are detected
+const REORG_DEPTH = 64;
+
+/**
+ * SubscriptionManager - Serves eth_subscribe by polling upstream once per topic
+ * and fanning notifications out to every subscribed client
+ * Polls are queued behind client traffic on the topic's endpoint
+ */
+class SubscriptionManager {
+  constructor(workerPool, router, config) {
+    this.workerPool = workerPool;
+    this.router = router;
+    this.config = config;
+    this.topics = new Map(); // topic key -> { key, type, filter, subscribers, worker, lastBlock, recent, recentLogs, timer, polling }
+    this.subscriptions = new Map(); // subscription id -> { client, topicKey }
+    this.headRequests = new Map(); // worker -> pending eth_blockNumber shared by its topics
+  }
+
+  /**
+   * Subscribe a client to a topic
+   * client must provide send(notification)
+   * Returns the subscription id
+   */
+  subscribe(client, type, filter = {}) {
+    if (!SUPPORTED_TYPES.includes(type)) {
+      throw createInvalidParamsError(`Unsupported subscription type: ${type}`);
+    }
+
+    if (type === 'logs') {
+      const problem = validateLogsFilter(filter);
+      if (problem) {
+        throw createInvalidParamsError(`Invalid logs filter: ${problem}`);
+      }
+    }
+
+    const topicKey = this.getTopicKey(type, filter);
+    let topic = this.topics.get(topicKey);
+
+    if (!topic) {
+      topic = {
+        key: topicKey,
+        type,
+        filter: type === 'logs' ? { address: filter.address, topics: filter.topics } : null,
+        subscribers: new Map(),
+        worker: null,
+        lastBlock: null,
+        recent: [], // { number, hash } of polled blocks, for reorg detection
+        recentLogs: [], // logs notified from those blocks
+        timer: null,
+        polling: false
+      };
+      this.topics.set(topicKey, topic);
+      this.startTopic(topic);
+    }
+
+    const subscriptionId = '0x' + crypto.randomBytes(16).toString('hex');
+    topic.subscribers.set(subscriptionId, client);
+    this.subscriptions.set(subscriptionId, { client, topicKey });
+
+    console.log(`Subscription ${subscriptionId} added to ${topicKey} (${topic.subscribers.size} subscribers)`);
+
+    return subscriptionId;
+  }
+
+  /**
+   * Remove a client's subscription
+   * Returns true if the subscription existed and belonged to the client
+   */
+  unsubscribe(client, subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription || subscription.client !== client) {
+      return false;
+    }
+
+    this.subscriptions.delete(subscriptionId);
+
+    const topic = this.topics.get(subscription.topicKey);
+    if (topic) {
+      topic.subscribers.delete(subscriptionId);
+      if (topic.subscribers.size === 0) {
+        this.stopTopic(topic);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove every subscription held by a client (e.g. on disconnect)
+   */
+  removeClient(client) {
+    for (const [subscriptionId, subscription] of this.subscriptions) {
+      if (subscription.client === client) {
+        this.unsubscribe(client, subscriptionId);
+      }
+    }
+  }
+
+  /**
+   * Build topic key - identical subscriptions share one upstream poller
+   */
+  getTopicKey(type, filter) {
+    if (type === 'logs') {
+      return `logs:${JSON.stringify({ address: filter.address, topics: filter.topics })}`;
+    }
+    return type;
+  }
+
+  /**
+   * Start polling upstream for a topic
+   */
+  startTopic(topic) {
+    console.log(`Starting upstream poller for ${topic.key}`);
+    topic.timer = setInterval(() => this.pollTopic(topic), this.config.websocket.pollInterval);
+    this.pollTopic(topic);
+  }
+
+  /**
+   * Stop polling upstream for a topic
+   */
+  stopTopic(topic) {
+    clearInterval(topic.timer);
+    this.topics.delete(topic.key);
+    console.log(`Stopped upstream poller for ${topic.key}`);
+  }
+
+  /**
+   * Restart topic pollers with a reloaded poll interval
+   */
+  restartPollers() {
+    for (const topic of this.topics.values()) {
+      clearInterval(topic.timer);
+      topic.timer = setInterval(() => this.pollTopic(topic), this.config.websocket.pollInterval);
+    }
+  }
+
+  /**
+   * Stop all pollers
+   */
+  stop() {
+    for (const topic of this.topics.values()) {
+      clearInterval(topic.timer);
+    }
+    this.topics.clear();
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Pick the worker serving a topic, moving it off endpoints that are no longer available
+   */
+  getTopicWorker(topic) {
+    const workers = this.workerPool.getAllWorkers();
+    if (topic.worker && topic.worker.isAvailable() && workers.includes(topic.worker)) {
+      return topic.worker;
+    }
+
+    const worker = this.router.selectWorker(this.workerPool.getAvailableWorkers());
+
+    if (worker && topic.worker && worker !== topic.worker) {
+      console.log(`Moving subscription ${topic.key} from ${topic.worker.name} to ${worker.name}`);
+    }
+
+    topic.worker = worker;
+    return worker;
+  }
+
+  /**
+   * Poll for new blocks and notify subscribers of new heads or logs
+   */
+  async pollTopic(topic) {
+    if (topic.polling) {
+      return;
+    }
+
+    const worker = this.getTopicWorker(topic);
+    if (!worker) {
+      return;
+    }
+
+    topic.polling = true;
+
+    try {
+      const head = await this.getHead(worker);
+      if (head === null) {
+        return;
+      }
+
+      // Start from the current head - history is not replayed
+      if (topic.lastBlock === null) {
+        const block = await this.getBlock(worker, head);
+        if (block) {
+          this.trackBlock(topic, head, block.hash, []);
+        }
+        return;
+      }
+
+      if (head <= topic.lastBlock) {
+        return;
+      }
+
+      await this.checkReorg(topic, worker);
+
+      const fromBlock = topic.lastBlock + 1;
+      const toBlock = Math.min(head, topic.lastBlock + this.config.websocket.maxBlocksPerPoll);
+
+      if (topic.type === 'newHeads') {
+        for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+          const block = await this.getBlock(worker, blockNumber);
+          if (!block) {
+            break;
+          }
+          // newHeads carries the header only, as from a node
+          const { transactions, uncles, withdrawals, ...header } = block;
+          this.notify(topic, header);
+          this.trackBlock(topic, blockNumber, block.hash, []);
+        }
+      } else {
+        // Header first: a reorg in between is caught on the next poll instead of missed
+        const block = await this.getBlock(worker, toBlock);
+        if (!block) {
+          return;
+        }
+
+        const logs = await this.call(worker, 'eth_getLogs', [{
+          ...topic.filter,
+          fromBlock: '0x' + fromBlock.toString(16),
+          toBlock: '0x' + toBlock.toString(16)
+        }]) || [];
+        logs.forEach(log => this.notify(topic, log));
+        this.trackBlock(topic, toBlock, block.hash, logs);
+      }
+    } catch (error) {
+      console.log(`${worker.name} - Subscription poll for ${topic.key} failed: ${error.message}`);
+      // Move to another endpoint on the next poll
+      topic.worker = null;
+    } finally {
+      topic.polling = false;
+    }
+  }
+
+  /**
+   * Get a worker's head block: the one head polling and passing traffic keep current,
+   * else a single eth_blockNumber call shared by every topic polling the worker
+   */
+  async getHead(worker) {
+    if (worker.headBlock !== null && Date.now() - worker.headUpdatedAt < this.config.websocket.pollInterval) {
+      return worker.headBlock;
+    }
+
+    if (!this.headRequests.has(worker)) {
+      const request = this.call(worker, 'eth_blockNumber', [])
+        .then(result => parseQuantity(result))
+        .finally(() => this.headRequests.delete(worker));
+      this.headRequests.set(worker, request);
+    }
+
+    return this.headRequests.get(worker);
+  }
+
+  /**
+   * Record a polled block (and the logs notified up to it) as the topic's last block
+   */
+  trackBlock(topic, blockNumber, hash, logs) {
+    const oldest = blockNumber - REORG_DEPTH;
+
+    topic.lastBlock = blockNumber;
+    topic.recent = [...topic.recent, { number: blockNumber, hash }].filter(entry => entry.number > oldest);
+    topic.recentLogs = [...topic.recentLogs, ...logs].filter(log => parseQuantity(log.blockNumber) > oldest);
+  }
+
+  /**
+   * Check the blocks already polled against upstream and rewind the topic past a reorg
+   * Logs notified from blocks that left the chain are sent again with removed: true,
+   * like eth_subscribe does, and polling carries on with the new chain's heads and logs
+   */
+  async checkReorg(topic, worker) {
+    let ancestor = null;
+
+    for (let i = topic.recent.length - 1; i >= 0; i--) {
+      const { number, hash } = topic.recent[i];
+      const block = await this.getBlock(worker, number);
+      if (block && block.hash === hash) {
+        ancestor = number;
+        break;
+      }
+    }
+
+    if (ancestor === topic.lastBlock || topic.recent.length === 0) {
+      return;
+    }
+
+    // Deeper than the blocks tracked: go back as far as they reach
+    if (ancestor === null) {
+      ancestor = topic.recent[0].number - 1;
+    }
+
+    const removed = topic.recentLogs.filter(log => parseQuantity(log.blockNumber) > ancestor);
+    console.log(`Reorg detected for ${topic.key}: resuming after block ${ancestor}, ${removed.length} logs removed`);
+
+    removed.forEach(log => this.notify(topic, { ...log, removed: true }));
+    topic.recent = topic.recent.filter(entry => entry.number <= ancestor);
+    topic.recentLogs = topic.recentLogs.filter(log => parseQuantity(log.blockNumber) <= ancestor);
+    topic.lastBlock = ancestor;
+  }
+
+  /**
+   * Get a block header by number (null if upstream doesn't have it)
+   */
+  getBlock(worker, blockNumber) {
+    return this.call(worker, 'eth_getBlockByNumber', ['0x' + blockNumber.toString(16), false]);
+  }
+
+  /**
+   * Queue an upstream call behind client traffic and return its result
+   * Dropped if not sent within one poll interval
+   */
+  async call(worker, method, params) {
+    const data = await worker.queueBackgroundRequest({
+      jsonrpc: '2.0',
+      method,
+      params,
+      id: 'subscription-poll'
+    }, this.config.websocket.pollInterval);
+
+    if (!data || typeof data !== 'object' || data.error) {
+      throw new Error(data?.error?.message || 'Not a JSON-RPC answer');
+    }
+
+    return data.result;
+  }
+
+  /**
+   * Send a notification to every subscriber of a topic
+   */
+  notify(topic, result) {
+    for (const [subscriptionId, client] of topic.subscribers) {
+      client.send({
+        jsonrpc: '2.0',
+        method: 'eth_subscription',
+        params: {
+          subscription: subscriptionId,
+          result
+        }
+      });
+    }
+  }
+}
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TOPIC_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Check a logs subscription filter: { address?, topics? } as for eth_getLogs
+ * Returns a description of the problem, or null if the filter is valid
+ */
+function validateLogsFilter(filter) {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    return 'expected an object';
+  }
+
+  const { address, topics } = filter;
+  const addresses = Array.isArray(address) ? address : [address];
+  if (address !== undefined && address !== null && !addresses.every(a => typeof a === 'string' && ADDRESS_PATTERN.test(a))) {
+    return 'address must be an address or a list of addresses';
+  }
+
+  if (topics === undefined || topics === null) {
+    return null;
+  }
+  if (!Array.isArray(topics) || topics.length > 4) {
+    return 'topics must be a list of up to 4 entries';
+  }
+
+  const isTopic = (topic) => typeof topic === 'string' && TOPIC_PATTERN.test(topic);
+  const valid = topics.every(entry => entry === null || isTopic(entry) || (Array.isArray(entry) && entry.every(isTopic)));
+  return valid ? null : 'each topic must be null, a 32-byte hash or a list of hashes';
+}
+
+/**
+ * Build the error for a subscription request with invalid params (answered with -32602)
+ */
+function createInvalidParamsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PARAMS';
+  return error;
+}
+
+module.exports = SubscriptionManager;
@@ -0,0 +1,60 @@
+/**
+ * TokenBucket - Paces requests to stay under a requests-per-second budget
+ * Capacity defaults to one second worth of tokens so short bursts are allowed
+ */
+class TokenBucket {
+  constructor(requestsPerSecond, capacity = null) {
+    this.setRate(requestsPerSecond, capacity);
+  }
+
+  /**
+   * Update the refill rate (null or 0 disables pacing)
+   */
+  setRate(requestsPerSecond, capacity = null) {
+    this.rate = requestsPerSecond > 0 ? requestsPerSecond : null;
+    this.capacity = this.rate ? (capacity || Math.max(1, this.rate)) : null;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Refill tokens based on elapsed time
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSec = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSec * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Try to take a token
+   * Returns 0 if a token was taken, otherwise ms to wait until one is available
+   */
+  tryTake() {
+    if (!this.rate) {
+      return 0;
+    }
+
+    this.refill();
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  /**
+   * Take extra tokens for a request that counts as several (e.g. a batch)
+   * The bucket may go into debt, making the following requests wait longer
+   */
+  charge(count) {
+    if (this.rate && count > 0) {
+      this.tokens -= count;
+    }
+  }
+}
+
+module.exports = TokenBucket;
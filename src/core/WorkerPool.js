@@ -1,42 +1,329 @@
 const EndpointWorker = require('./EndpointWorker');
 const RateLimitDetector = require('./RateLimitDetector');
+const CapabilityProber = require('./CapabilityProber');
+const metrics = require('../utils/metrics');
+const { parseQuantity } = require('../utils/rpc');
 
 /**
- * WorkerPool - Manages all endpoint workers and health checks
+ * WorkerPool - Manages the endpoint workers and health checks for one chain
  */
 class WorkerPool {
-  constructor(endpoints, config, statsRepo) {
+  constructor(chain, config, statsRepo) {
+    this.chain = chain; // { name, chainId }
     this.config = config;
     this.statsRepo = statsRepo;
     this.workers = [];
     this.healthCheckInterval = null;
+    this.headPollInterval = null;
+    this.capabilityProbeInterval = null;
+    this.capabilityProber = new CapabilityProber();
 
     // Create rate limit detector (shared across all workers)
     this.rateLimitDetector = new RateLimitDetector(config, statsRepo);
 
-    // Initialize workers for each endpoint
-    this.initializeWorkers(endpoints);
+    metrics.trackWorkerPool(this);
   }
 
   /**
    * Initialize workers for all endpoints
+   * Endpoints that report a different chain id than configured are refused;
+   * the rest are probed for capabilities before joining the pool.
+   * Changes made through the admin API are restored: removed endpoints are
+   * skipped, disabled ones start disabled and added ones join the pool
    */
-  initializeWorkers(endpoints) {
-    console.log(`Initializing ${endpoints.length} endpoint workers...`);
-
-    endpoints.forEach(url => {
-      const endpointId = this.statsRepo.ensureEndpoint(url);
-      const worker = new EndpointWorker(
-        url,
-        endpointId,
-        this.config,
-        this.rateLimitDetector,
-        this.statsRepo
-      );
-      this.workers.push(worker);
-    });
+  async initializeWorkers(endpoints) {
+    const adminEndpoints = this.statsRepo.getAdminEndpoints(this.chain.name)
+      .filter(record => !endpoints.some(e => e.url === record.url))
+      .map(record => ({ ...JSON.parse(record.options || '{}'), url: record.url, source: 'admin' }));
+    const allEndpoints = [...endpoints, ...adminEndpoints];
+
+    console.log(`[${this.chain.name}] Initializing ${allEndpoints.length} endpoint workers...`);
+
+    for (const endpoint of allEndpoints) {
+      await this.restoreWorker(endpoint);
+    }
+
+    console.log(`[${this.chain.name}] ${this.workers.length} of ${allEndpoints.length} workers initialized`);
+  }
+
+  /**
+   * Add a worker for an endpoint, honouring changes stored through the admin API
+   */
+  async restoreWorker(endpoint) {
+    const record = this.statsRepo.getEndpointRecord(endpoint.url, this.chain.name);
+
+    if (record && record.removed_at) {
+      console.log(`${endpoint.name || endpoint.url} - Removed through the admin API, skipping`);
+      return;
+    }
+
+    const worker = await this.createWorker(endpoint);
+    if (!worker) {
+      return;
+    }
+
+    if (record && !record.is_active) {
+      worker.disabled = true;
+      console.log(`${worker.name} - Disabled through the admin API`);
+    }
+
+    this.workers.push(worker);
+  }
+
+  /**
+   * Apply a reloaded endpoint list: start workers for new endpoints, drain and
+   * drop configured endpoints that are gone, and update limits and tags of the rest
+   * Endpoints added through the admin API are left alone
+   */
+  async applyEndpoints(endpoints) {
+    const urls = endpoints.map(e => e.url);
+
+    this.workers
+      .filter(w => w.source === 'config' && !urls.includes(w.url) && !w.draining)
+      .forEach(worker => {
+        console.log(`[${this.chain.name}] ${worker.name} no longer configured`);
+        this.drainEndpoint(worker, { persist: false }).catch(error => {
+          console.error(`Error draining ${worker.name}:`, error);
+        });
+      });
+
+    for (const endpoint of endpoints) {
+      const worker = this.workers.find(w => w.url === endpoint.url);
+
+      if (!worker) {
+        console.log(`[${this.chain.name}] New endpoint configured: ${endpoint.name || endpoint.url}`);
+        await this.restoreWorker(endpoint);
+      } else if (worker.source === 'config') {
+        worker.applyEndpoint(endpoint);
+      }
+    }
+  }
+
+  /**
+   * Re-apply worker defaults (concurrency, pacing) after a configuration reload
+   */
+  applyWorkerDefaults() {
+    this.workers.forEach(worker => worker.applyEndpoint(worker.endpoint));
+  }
+
+  /**
+   * Create a worker for an endpoint, verify its chain id and probe its capabilities
+   * Returns null if the endpoint serves a different chain
+   */
+  async createWorker(endpoint) {
+    const endpointId = this.statsRepo.ensureEndpoint(endpoint.url, this.chain.name);
+    const worker = new EndpointWorker(
+      endpoint,
+      endpointId,
+      this.config,
+      this.rateLimitDetector,
+      this.statsRepo,
+      this.chain.name
+    );
+
+    if (!(await this.verifyChainId(worker))) {
+      return null;
+    }
+
+    if (this.config.capabilities.enabled) {
+      await this.probeCapabilities(worker);
+    }
+
+    return worker;
+  }
+
+  /**
+   * Add an endpoint at runtime and persist it
+   */
+  async addEndpoint(endpoint) {
+    if (this.workers.some(w => w.url === endpoint.url)) {
+      const error = new Error(`Endpoint ${endpoint.url} is already in chain ${this.chain.name}`);
+      error.code = 'ENDPOINT_EXISTS';
+      throw error;
+    }
+
+    const worker = await this.createWorker({ ...endpoint, source: 'admin' });
+    if (!worker) {
+      const error = new Error(`Endpoint ${endpoint.url} does not serve chain ${this.chain.name}`);
+      error.code = 'CHAIN_ID_MISMATCH';
+      throw error;
+    }
+
+    const { url, ...options } = endpoint;
+    this.statsRepo.saveAdminEndpoint(url, this.chain.name, options);
+    this.workers.push(worker);
+
+    console.log(`[${this.chain.name}] Endpoint added: ${worker.name}`);
+    return worker;
+  }
+
+  /**
+   * Find a worker by its endpoint id
+   */
+  getWorkerById(endpointId) {
+    return this.workers.find(w => w.endpointId === endpointId) || null;
+  }
+
+  /**
+   * Enable or disable a worker
+   * A disabled worker finishes its queue but receives no new requests
+   */
+  setEndpointEnabled(worker, enabled) {
+    worker.disabled = !enabled;
+    this.statsRepo.setEndpointActive(worker.endpointId, enabled);
+    console.log(`[${this.chain.name}] Endpoint ${enabled ? 'enabled' : 'disabled'}: ${worker.name}`);
+  }
+
+  /**
+   * Stop sending new requests to a worker, wait for its queue and
+   * in-flight requests to finish, then remove it
+   */
+  async drainEndpoint(worker, options = {}) {
+    worker.draining = true;
+    console.log(`[${this.chain.name}] Draining ${worker.name} (${worker.getQueueLength()} queued, ${worker.inFlight} in flight)`);
+
+    while (worker.hasActiveRequests()) {
+      await worker.sleep(100);
+    }
+
+    this.removeEndpoint(worker, options);
+  }
+
+  /**
+   * Remove a worker immediately and persist the removal (unless persist is false)
+   * Queued requests are rejected so the router fails them over; in-flight requests complete
+   */
+  removeEndpoint(worker, { persist = true } = {}) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+
+    this.workers.splice(index, 1);
+    const rejected = worker.rejectQueued(`Endpoint ${worker.name} was removed`);
+    if (persist) {
+      this.statsRepo.markEndpointRemoved(worker.endpointId);
+    }
+
+    console.log(`[${this.chain.name}] Endpoint removed: ${worker.name}${rejected > 0 ? ` (${rejected} queued requests failed over)` : ''}`);
+  }
+
+  /**
+   * Check that an endpoint serves the configured chain
+   * Unreachable endpoints are kept (they can't report a wrong chain)
+   */
+  async verifyChainId(worker) {
+    if (this.chain.chainId === undefined || this.chain.chainId === null) {
+      return true;
+    }
+
+    const expected = typeof this.chain.chainId === 'string'
+      ? parseQuantity(this.chain.chainId)
+      : this.chain.chainId;
+
+    try {
+      const data = await worker.queueBackgroundRequest({
+        jsonrpc: '2.0',
+        method: 'eth_chainId',
+        params: [],
+        id: 'chain-id-check'
+      });
+
+      const actual = parseQuantity(data?.result);
+
+      if (actual === null) {
+        console.log(`${worker.name} - Could not verify chain id (no result), keeping endpoint`);
+        return true;
+      }
+
+      if (actual !== expected) {
+        console.error(`${worker.name} - Refused: reports chain id ${actual}, expected ${expected} for ${this.chain.name}`);
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      console.log(`${worker.name} - Could not verify chain id (${error.message}), keeping endpoint`);
+      return true;
+    }
+  }
+
+  /**
+   * Probe an endpoint's capabilities and persist them
+   * Falls back to the last stored probe if the endpoint can't be reached
+   */
+  async probeCapabilities(worker) {
+    let capabilities = null;
+
+    try {
+      capabilities = await this.capabilityProber.probe(worker);
+    } catch (error) {
+      console.log(`${worker.name} - Capability probe failed: ${error.message}`);
+    }
+
+    if (capabilities) {
+      this.statsRepo.saveCapabilities(worker.endpointId, capabilities);
+    } else {
+      capabilities = this.statsRepo.getCapabilities(worker.endpointId);
+      console.log(`${worker.name} - Capability probe unavailable, ${capabilities ? 'using last stored probe' : 'capabilities unknown'}`);
+    }
+
+    worker.capabilities = capabilities;
+
+    if (capabilities) {
+      const families = ['debug', 'trace', 'txpool', 'getLogs', 'batch'].filter(f => capabilities[f]);
+      console.log(`${worker.name} - Capabilities: ${families.join(', ') || 'none'}; archive depth ${capabilities.archiveDepth}; max logs range ${capabilities.maxLogsRange}`);
+    }
+  }
+
+  /**
+   * Start periodic capability re-probing
+   */
+  startCapabilityProbing() {
+    if (!this.config.capabilities.enabled) {
+      return;
+    }
+
+    console.log(`Starting capability re-probing (interval: ${this.config.capabilities.reprobeInterval}ms)`);
+
+    this.capabilityProbeInterval = setInterval(async () => {
+      for (const worker of this.workers) {
+        await this.probeCapabilities(worker);
+      }
+    }, this.config.capabilities.reprobeInterval);
+  }
+
+  /**
+   * Stop capability re-probing
+   */
+  stopCapabilityProbing() {
+    if (this.capabilityProbeInterval) {
+      clearInterval(this.capabilityProbeInterval);
+      this.capabilityProbeInterval = null;
+    }
+  }
+
+  /**
+   * Start periodic rate budget increases (the additive half of AIMD)
+   */
+  startRateBudgetAdjustments() {
+    if (!this.config.rateBudget.enabled) {
+      return;
+    }
+
+    this.rateBudgetInterval = setInterval(() => {
+      this.workers.forEach(worker => worker.raiseRateBudget());
+    }, this.config.rateBudget.increaseInterval);
+  }
 
-    console.log(`All workers initialized`);
+  /**
+   * Stop rate budget increases
+   */
+  stopRateBudgetAdjustments() {
+    if (this.rateBudgetInterval) {
+      clearInterval(this.rateBudgetInterval);
+      this.rateBudgetInterval = null;
+    }
   }
 
   /**
@@ -101,12 +388,69 @@ class WorkerPool {
     }
   }
 
+  /**
+   * Start periodic polling of each endpoint's head block
+   */
+  startHeadPolling() {
+    console.log(`Starting head polling (interval: ${this.config.routing.headPollInterval}ms)`);
+
+    this.pollHeads();
+    this.headPollInterval = setInterval(() => this.pollHeads(), this.config.routing.headPollInterval);
+  }
+
+  /**
+   * Stop head polling
+   */
+  stopHeadPolling() {
+    if (this.headPollInterval) {
+      clearInterval(this.headPollInterval);
+      this.headPollInterval = null;
+      console.log('Head polling stopped');
+    }
+  }
+
+  /**
+   * Poll eth_blockNumber on every available worker
+   * Polls are queued behind client traffic and dropped if not sent before the next poll
+   */
+  async pollHeads() {
+    const headRequest = {
+      jsonrpc: '2.0',
+      method: 'eth_blockNumber',
+      params: [],
+      id: 'head-poll'
+    };
+
+    await Promise.all(this.getAvailableWorkers().map(async worker => {
+      try {
+        const data = await worker.queueBackgroundRequest(headRequest, this.config.routing.headPollInterval);
+        worker.observeHead(parseQuantity(data?.result));
+      } catch (error) {
+        console.log(`${worker.name} - Head poll failed: ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Get the highest head block known among the given workers (defaults to all)
+   */
+  getBestHead(workers = this.workers) {
+    const heads = workers.map(w => w.headBlock).filter(h => h !== null);
+    return heads.length > 0 ? Math.max(...heads) : null;
+  }
+
   /**
    * Perform health check on a worker
+   * Sent through the worker queue as a circuit breaker probe, so endpoints without
+   * client traffic still recover; skipped while the circuit is open or a probe is out
    */
   async performHealthCheck(worker) {
+    if (!worker.isAvailable()) {
+      return;
+    }
+
     try {
-      console.log(`Health check for ${worker.url}...`);
+      console.log(`Health check for ${worker.name}...`);
 
       // Simple eth_blockNumber request
       const healthRequest = {
@@ -116,26 +460,36 @@ class WorkerPool {
         id: 'health-check'
       };
 
-      const response = await worker.makeRequest(healthRequest);
-
-      if (response.data && response.data.result) {
-        worker.state = 'HEALTHY';
-        worker.cooldownUntil = null;
-        console.log(`${worker.url} - Health check passed, back to HEALTHY`);
-      }
+      await worker.queueRequest(healthRequest, { priority: this.config.priority.classes[0] });
+      console.log(`${worker.name} - Health check passed (circuit ${worker.circuitBreaker.getState()})`);
     } catch (error) {
-      console.log(`${worker.url} - Health check failed: ${error.message}`);
+      console.log(`${worker.name} - Health check failed: ${error.message}`);
     }
   }
 
+  /**
+   * Get compute unit usage of the metered workers, by endpoint name
+   */
+  getComputeUnitUsage() {
+    const endpoints = {};
+    this.workers
+      .filter(w => w.computeUnits.isMetered())
+      .forEach(w => {
+        endpoints[w.name] = w.computeUnits.getUsage();
+      });
+    return endpoints;
+  }
+
   /**
    * Get health status of all workers
    */
   getHealthStatus() {
+    const bestHead = this.getBestHead();
     const workerStatuses = this.workers.map(w => {
       const stats = this.statsRepo.getEndpointStatById(w.endpointId);
       return {
         ...w.getStatus(),
+        blockLag: w.getBlockLag(bestHead),
         successRate: stats && stats.total_requests > 0
           ? (stats.successful_requests / stats.total_requests).toFixed(3)
           : null,
@@ -146,10 +500,21 @@ class WorkerPool {
 
     const availableCount = workerStatuses.filter(w => w.isAvailable).length;
 
+    // Requests queued across the pool per priority class
+    const queueByPriority = {};
+    workerStatuses.forEach(w => {
+      Object.entries(w.queueByPriority).forEach(([priority, depth]) => {
+        queueByPriority[priority] = (queueByPriority[priority] || 0) + depth;
+      });
+    });
+
     return {
       status: availableCount > 0 ? 'healthy' : 'degraded',
+      chainId: this.chain.chainId ?? null,
       availableWorkers: availableCount,
       totalWorkers: this.workers.length,
+      bestHead,
+      queueByPriority,
       workers: workerStatuses
     };
   }
@@ -162,12 +527,11 @@ class WorkerPool {
   }
 
   /**
-   * Flush statistics for all workers
+   * Write buffered statistics to the database and save it
    */
   async flushStatistics() {
     console.log('Flushing statistics...');
-    // Statistics are written immediately, so nothing to flush
-    // This is a placeholder for future batch operations
+    this.statsRepo.persist();
   }
 }
 
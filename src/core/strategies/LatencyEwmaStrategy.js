@@ -0,0 +1,23 @@
+/**
+ * LatencyEwmaStrategy - Picks the worker with the lowest moving average latency
+ * Workers without a measurement yet are tried first; ties go to the shorter queue
+ */
+class LatencyEwmaStrategy {
+  constructor() {
+    this.name = 'latency-ewma';
+  }
+
+  select(workers) {
+    return workers.reduce((best, worker) => {
+      const latency = worker.latencyEwma ?? 0;
+      const bestLatency = best.latencyEwma ?? 0;
+
+      if (latency !== bestLatency) {
+        return latency < bestLatency ? worker : best;
+      }
+      return worker.getQueueLength() < best.getQueueLength() ? worker : best;
+    });
+  }
+}
+
+module.exports = LatencyEwmaStrategy;
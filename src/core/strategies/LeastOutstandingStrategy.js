@@ -0,0 +1,35 @@
+/**
+ * LeastOutstandingStrategy - Picks the worker with the lowest expected cost:
+ * outstanding requests scaled by observed latency and error rate, divided by weight
+ */
+class LeastOutstandingStrategy {
+  constructor() {
+    this.name = 'least-outstanding';
+  }
+
+  select(workers) {
+    const knownLatencies = workers.map(w => w.latencyEwma).filter(l => l !== null);
+    // Workers without a measurement are assumed to be as fast as the average
+    const defaultLatency = knownLatencies.length > 0
+      ? knownLatencies.reduce((sum, l) => sum + l, 0) / knownLatencies.length
+      : 1;
+
+    let best = null;
+    let bestScore = Infinity;
+
+    workers.forEach(worker => {
+      const latency = Math.max(1, worker.latencyEwma ?? defaultLatency);
+      const successRate = Math.max(0.05, 1 - worker.errorRateEwma);
+      const score = ((worker.getOutstanding() + 1) * latency) / (successRate * worker.weight);
+
+      if (score < bestScore) {
+        best = worker;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+}
+
+module.exports = LeastOutstandingStrategy;
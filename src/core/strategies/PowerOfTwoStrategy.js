@@ -0,0 +1,27 @@
+/**
+ * PowerOfTwoStrategy - Samples two random workers and picks the less loaded one
+ * Avoids every router herding onto the same "best" endpoint
+ */
+class PowerOfTwoStrategy {
+  constructor() {
+    this.name = 'power-of-two';
+  }
+
+  select(workers) {
+    if (workers.length === 1) {
+      return workers[0];
+    }
+
+    const first = Math.floor(Math.random() * workers.length);
+    const second = (first + 1 + Math.floor(Math.random() * (workers.length - 1))) % workers.length;
+    const a = workers[first];
+    const b = workers[second];
+
+    if (a.getOutstanding() !== b.getOutstanding()) {
+      return a.getOutstanding() < b.getOutstanding() ? a : b;
+    }
+    return (a.latencyEwma ?? 0) <= (b.latencyEwma ?? 0) ? a : b;
+  }
+}
+
+module.exports = PowerOfTwoStrategy;
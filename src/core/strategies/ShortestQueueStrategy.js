@@ -0,0 +1,16 @@
+/**
+ * ShortestQueueStrategy - Picks the worker with the fewest queued requests
+ */
+class ShortestQueueStrategy {
+  constructor() {
+    this.name = 'shortest-queue';
+  }
+
+  select(workers) {
+    return workers.reduce((min, worker) =>
+      worker.getQueueLength() < min.getQueueLength() ? worker : min
+    );
+  }
+}
+
+module.exports = ShortestQueueStrategy;
@@ -0,0 +1,30 @@
+/**
+ * WeightedRoundRobinStrategy - Smooth weighted round-robin over endpoint weights
+ * An endpoint with weight 3 gets three requests for every one sent to a weight 1 endpoint,
+ * interleaved rather than in bursts
+ */
+class WeightedRoundRobinStrategy {
+  constructor() {
+    this.name = 'weighted-round-robin';
+    this.currentWeights = new Map(); // url -> current weight
+  }
+
+  select(workers) {
+    const totalWeight = workers.reduce((sum, worker) => sum + worker.weight, 0);
+    let selected = null;
+
+    workers.forEach(worker => {
+      const current = (this.currentWeights.get(worker.url) || 0) + worker.weight;
+      this.currentWeights.set(worker.url, current);
+
+      if (!selected || current > this.currentWeights.get(selected.url)) {
+        selected = worker;
+      }
+    });
+
+    this.currentWeights.set(selected.url, this.currentWeights.get(selected.url) - totalWeight);
+    return selected;
+  }
+}
+
+module.exports = WeightedRoundRobinStrategy;
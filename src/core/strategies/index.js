@@ -0,0 +1,33 @@
+const ShortestQueueStrategy = require('./ShortestQueueStrategy');
+const WeightedRoundRobinStrategy = require('./WeightedRoundRobinStrategy');
+const LatencyEwmaStrategy = require('./LatencyEwmaStrategy');
+const PowerOfTwoStrategy = require('./PowerOfTwoStrategy');
+const LeastOutstandingStrategy = require('./LeastOutstandingStrategy');
+
+/**
+ * Load-balancing strategies
+ * A strategy has a name and select(workers), which picks one of a non-empty list of workers
+ */
+const STRATEGIES = {
+  'shortest-queue': ShortestQueueStrategy,
+  'weighted-round-robin': WeightedRoundRobinStrategy,
+  'latency-ewma': LatencyEwmaStrategy,
+  'power-of-two': PowerOfTwoStrategy,
+  'least-outstanding': LeastOutstandingStrategy
+};
+
+/**
+ * Create a strategy by name
+ */
+function createStrategy(name) {
+  const Strategy = STRATEGIES[name];
+  if (!Strategy) {
+    throw new Error(`Unknown load-balancing strategy: ${name}`);
+  }
+  return new Strategy();
+}
+
+module.exports = {
+  STRATEGIES,
+  createStrategy
+};
@@ -1,32 +1,60 @@
+const LatencySketch = require('../core/LatencySketch');
+const metrics = require('../utils/metrics');
+
+// Rollup table per granularity
+const ROLLUP_TABLES = {
+  minute: 'request_stats_minute',
+  hour: 'request_stats_hour'
+};
+
+const BUCKET_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
 /**
  * StatisticsRepository - CRUD operations for statistics database
  * Adapted for sql.js
+ *
+ * Per-request and per-event writes are buffered and flushed in batches every
+ * statistics.flushInterval; the database file is saved at most every statistics.saveInterval
+ * after changes. Queries flush the buffer first so they see every recorded write.
+ * Direct writes only mark the database dirty, so every save goes through persist()
  */
 class StatisticsRepository {
-  constructor(db, dbManager) {
+  constructor(db, dbManager, config) {
     this.db = db;
     this.dbManager = dbManager;
+    this.config = config;
+    this.buffer = []; // writes not yet applied, as { kind, at, ...row }
+    this.flushTimer = null;
+    this.dirty = false; // written since the file was last saved
+    this.lastSaveAt = null;
+    this.droppedWrites = 0;
+    this.flushFailures = 0; // failed flushes in a row
+    this.sketches = new Map(); // 'table|endpointId|method' -> { bucket, sketch } of the current bucket
   }
 
   /**
    * Ensure endpoint exists in database, create if not
+   * Endpoints are identified by chain and URL, so one URL serving two chains gets two records
    * Returns endpoint ID
    */
-  ensureEndpoint(url) {
+  ensureEndpoint(url, chain = null) {
     try {
       // Try to get existing endpoint
-      const stmt = this.db.prepare('SELECT id FROM endpoints WHERE url = ?');
-      stmt.bind([url]);
+      const existing = this.findEndpoint(url, chain);
 
-      if (stmt.step()) {
-        const result = stmt.getAsObject();
-        stmt.free();
-        return result.id;
+      if (existing) {
+        // Endpoints created before multi-chain support have no chain
+        if (chain && existing.chain === null) {
+          this.db.run('UPDATE endpoints SET chain = ? WHERE id = ?', [chain, existing.id]);
+        }
+        return existing.id;
       }
-      stmt.free();
 
       // Create new endpoint
-      this.db.run('INSERT INTO endpoints (url, is_active) VALUES (?, 1)', [url]);
+      this.db.run('INSERT INTO endpoints (url, is_active, chain) VALUES (?, 1, ?)', [url, chain]);
 
       // Get the ID of the inserted row
       const idStmt = this.db.prepare('SELECT last_insert_rowid() as id');
@@ -37,10 +65,10 @@ class StatisticsRepository {
       // Create initial statistics record
       this.db.run('INSERT INTO endpoint_statistics (endpoint_id) VALUES (?)', [endpointId]);
 
-      console.log(`Created endpoint: ${url} (ID: ${endpointId})`);
+      console.log(`Created endpoint record (ID: ${endpointId})`);
 
-      // Save database
-      this.dbManager.save();
+      // Saved with the next persist()
+      this.dirty = true;
 
       return endpointId;
     } catch (error) {
@@ -50,69 +78,692 @@ class StatisticsRepository {
   }
 
   /**
-   * Get endpoint ID by URL
+   * Find an endpoint record by chain and URL, falling back to a record from before
+   * multi-chain support (no chain) for the URL
    */
-  getEndpointId(url) {
-    const stmt = this.db.prepare('SELECT id FROM endpoints WHERE url = ?');
-    stmt.bind([url]);
+  findEndpoint(url, chain) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM endpoints WHERE url = ? AND (chain = ? OR chain IS NULL) ORDER BY chain IS NULL LIMIT 1'
+    );
+    stmt.bind([url, chain]);
 
-    if (stmt.step()) {
-      const result = stmt.getAsObject();
+    const result = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    return result;
+  }
+
+  /**
+   * Get the stored endpoint record by chain and URL
+   */
+  getEndpointRecord(url, chain = null) {
+    try {
+      return this.findEndpoint(url, chain);
+    } catch (error) {
+      console.error(`Error loading endpoint ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist an endpoint added through the admin API
+   * Re-adding a removed endpoint restores it
+   * Returns endpoint ID
+   */
+  saveAdminEndpoint(url, chain, options) {
+    const endpointId = this.ensureEndpoint(url, chain);
+
+    this.db.run(
+      `UPDATE endpoints
+       SET chain = ?, options = ?, source = 'admin', is_active = 1, removed_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [chain, JSON.stringify(options), endpointId]
+    );
+    this.dirty = true;
+
+    return endpointId;
+  }
+
+  /**
+   * Get endpoints added through the admin API for a chain (not removed)
+   */
+  getAdminEndpoints(chain) {
+    try {
+      const stmt = this.db.prepare(
+        "SELECT * FROM endpoints WHERE source = 'admin' AND chain = ? AND removed_at IS NULL ORDER BY id"
+      );
+      stmt.bind([chain]);
+
+      const endpoints = [];
+      while (stmt.step()) {
+        endpoints.push(stmt.getAsObject());
+      }
       stmt.free();
-      return result.id;
+
+      return endpoints;
+    } catch (error) {
+      console.error('Error loading admin endpoints:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Enable or disable an endpoint
+   */
+  setEndpointActive(endpointId, isActive) {
+    try {
+      this.db.run(
+        'UPDATE endpoints SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [isActive ? 1 : 0, endpointId]
+      );
+      this.dirty = true;
+    } catch (error) {
+      console.error('Error updating endpoint state:', error);
     }
-    stmt.free();
-    return null;
+  }
+
+  /**
+   * Mark an endpoint as removed so it isn't restored on restart
+   */
+  markEndpointRemoved(endpointId) {
+    try {
+      this.db.run(
+        'UPDATE endpoints SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [endpointId]
+      );
+      this.dirty = true;
+    } catch (error) {
+      console.error('Error removing endpoint:', error);
+    }
+  }
+
+  /**
+   * Get endpoint ID by chain and URL
+   */
+  getEndpointId(url, chain = null) {
+    return this.findEndpoint(url, chain)?.id ?? null;
   }
 
   /**
    * Record a request (success or failure)
+   * Buffered and written with the next flush
    */
   recordRequest(endpointId, method, success, responseTimeMs, httpStatusCode = null, errorMessage = null) {
+    this.bufferWrite('request', {
+      endpointId,
+      method,
+      success,
+      responseTimeMs: responseTimeMs || 0,
+      httpStatusCode,
+      errorMessage,
+      rateLimited: false
+    });
+  }
+
+  /**
+   * Record a request the endpoint refused for rate limiting (it is retried, so it
+   * only counts in the rollups)
+   */
+  recordRateLimitedRequest(endpointId, method, responseTimeMs) {
+    this.bufferWrite('request', {
+      endpointId,
+      method,
+      success: false,
+      responseTimeMs: responseTimeMs || 0,
+      httpStatusCode: null,
+      errorMessage: null,
+      rateLimited: true
+    });
+  }
+
+  /**
+   * Add a write to the buffer, flushing early once it holds statistics.maxBufferSize
+   * While flushes fail, a full buffer drops its oldest writes instead and waits for the timer
+   * kind picks the writer applied at flush time (see writeBatch)
+   */
+  bufferWrite(kind, row) {
+    this.buffer.push({ kind, at: Date.now(), ...row });
+    if (this.buffer.length < this.config.statistics.maxBufferSize) {
+      return;
+    }
+
+    if (this.flushFailures === 0) {
+      this.flush();
+    } else {
+      this.trimBuffer();
+    }
+  }
+
+  /**
+   * Start flushing the write buffer every statistics.flushInterval
+   * Settings are read on every run, so reloads apply from the next run
+   */
+  startFlushing() {
+    this.flushTimer = setTimeout(() => {
+      this.flush();
+      if (this.dirty && Date.now() - this.lastSaveAt >= this.config.statistics.saveInterval) {
+        this.persist();
+      }
+      this.startFlushing();
+    }, this.config.statistics.flushInterval);
+  }
+
+  /**
+   * Stop the flush timer
+   */
+  stopFlushing() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  /**
+   * Apply buffered writes to the database in one transaction
+   * A failed batch stays buffered for the next flush; past statistics.maxBufferSize
+   * the oldest writes are dropped and counted. After statistics.maxFlushAttempts failed
+   * flushes the writes are applied one by one and those that still fail are dropped
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const batch = this.buffer;
+    this.buffer = [];
+
+    const error = this.commitBatch(batch);
+    if (!error) {
+      this.flushFailures = 0;
+      return;
+    }
+
+    this.flushFailures++;
+    console.error(`Error flushing statistics (attempt ${this.flushFailures}):`, error);
+
+    if (this.flushFailures >= this.config.statistics.maxFlushAttempts) {
+      // Isolate the writes that keep failing so they don't block the rest
+      const failed = batch.filter(entry => this.commitBatch([entry]));
+      this.flushFailures = 0;
+      this.countDroppedWrites(failed.length, 'failed to write');
+      return;
+    }
+
+    this.buffer = batch.concat(this.buffer);
+    this.trimBuffer();
+  }
+
+  /**
+   * Apply a batch of writes in one transaction
+   * Returns the error if the batch was rolled back, otherwise null
+   */
+  commitBatch(batch) {
     try {
-      // Insert into request log
+      this.db.run('BEGIN TRANSACTION');
+      this.writeBatch(batch);
+      this.db.run('COMMIT');
+      this.dirty = true;
+      return null;
+    } catch (error) {
+      try {
+        this.db.run('ROLLBACK');
+      } catch (rollbackError) {
+        // The failed statement already ended the transaction
+      }
+      // Cached sketches may hold values that were rolled back
+      this.sketches.clear();
+      return error;
+    }
+  }
+
+  /**
+   * Drop the oldest buffered writes past statistics.maxBufferSize
+   */
+  trimBuffer() {
+    const excess = this.buffer.length - this.config.statistics.maxBufferSize;
+    if (excess > 0) {
+      this.buffer.splice(0, excess);
+      this.countDroppedWrites(excess, 'buffer full');
+    }
+  }
+
+  /**
+   * Count writes that were dropped without being applied
+   */
+  countDroppedWrites(count, reason) {
+    if (count > 0) {
+      this.droppedWrites += count;
+      metrics.statisticsDroppedWrites.inc(count);
+      console.error(`Dropped ${count} statistics writes (${reason})`);
+    }
+  }
+
+  /**
+   * Flush the write buffer and save the database file if anything changed
+   */
+  persist() {
+    this.flush();
+    if (this.dirty) {
+      this.dbManager.save();
+      this.dirty = false;
+      this.lastSaveAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the write buffer state for monitoring
+   */
+  getWriteBufferStatus() {
+    return {
+      buffered: this.buffer.length,
+      droppedWrites: this.droppedWrites,
+      lastSaveAt: this.lastSaveAt ? new Date(this.lastSaveAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Get an endpoint's buffered requests (rate limited attempts excepted, as in request_log)
+   */
+  getBufferedRequests(endpointId) {
+    return this.buffer.filter(entry => entry.kind === 'request' && entry.endpointId === endpointId && !entry.rateLimited);
+  }
+
+  /**
+   * Apply a batch of buffered writes: requests are summed per endpoint and rollup
+   * bucket, other writes are applied one by one in the order they were made
+   */
+  writeBatch(batch) {
+    this.writeRequests(batch.filter(entry => entry.kind === 'request'));
+
+    batch.forEach(entry => {
+      switch (entry.kind) {
+        case 'request':
+          break;
+        case 'rateLimitEvent':
+          this.db.run(
+            'INSERT INTO rate_limit_events (endpoint_id, detected_at, recovery_time, cooldown_duration_ms, http_status_code, error_message) VALUES (?, ?, ?, ?, ?, ?)',
+            [entry.endpointId, sqlTimestamp(entry.at), entry.recoveryTime, entry.cooldownMs, entry.httpStatusCode, entry.errorMessage]
+          );
+          this.db.run(
+            'UPDATE endpoint_statistics SET rate_limited_requests = rate_limited_requests + 1, updated_at = CURRENT_TIMESTAMP WHERE endpoint_id = ?',
+            [entry.endpointId]
+          );
+          break;
+        case 'circuitTransition':
+          this.db.run(
+            'INSERT INTO circuit_breaker_events (endpoint_id, from_state, to_state, reason, created_at) VALUES (?, ?, ?, ?, ?)',
+            [entry.endpointId, entry.fromState, entry.toState, entry.reason, sqlTimestamp(entry.at)]
+          );
+          break;
+        case 'disagreement':
+          this.db.run(
+            'UPDATE endpoint_statistics SET disagreements = disagreements + 1, updated_at = CURRENT_TIMESTAMP WHERE endpoint_id = ?',
+            [entry.endpointId]
+          );
+          break;
+        case 'broadcast':
+          this.db.run(
+            'INSERT INTO tx_broadcasts (tx_hash, chain, endpoint_id, outcome, error_message, response_time_ms, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [entry.txHash, entry.chain, entry.endpointId, entry.outcome, entry.errorMessage, entry.responseTimeMs, sqlTimestamp(entry.at)]
+          );
+          break;
+        case 'apiKeyUsage':
+          this.db.run(
+            `INSERT INTO api_key_usage (api_key_id, day, method, requests, rejected) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(api_key_id, day, method) DO UPDATE SET
+               requests = requests + excluded.requests,
+               rejected = rejected + excluded.rejected`,
+            [entry.apiKeyId, entry.day, entry.method, entry.rejected ? 0 : 1, entry.rejected ? 1 : 0]
+          );
+          this.db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [sqlTimestamp(entry.at), entry.apiKeyId]);
+          break;
+        case 'computeUnits':
+          [entry.day, entry.month].forEach(period => {
+            this.db.run(
+              `INSERT INTO compute_unit_usage (endpoint_id, period, units, requests) VALUES (?, ?, ?, ?)
+               ON CONFLICT(endpoint_id, period) DO UPDATE SET
+                 units = units + excluded.units,
+                 requests = requests + excluded.requests`,
+              [entry.endpointId, period, entry.units, entry.requests]
+            );
+          });
+          break;
+        case 'rateBudget':
+          this.db.run(
+            `INSERT OR REPLACE INTO endpoint_rate_budgets (endpoint_id, requests_per_second, lowered_at, updated_at)
+             VALUES (?, ?, ?, ?)`,
+            [entry.endpointId, entry.requestsPerSecond, entry.loweredAt, entry.updatedAt]
+          );
+          break;
+        default:
+          throw new Error(`Unknown buffered write: ${entry.kind}`);
+      }
+    });
+  }
+
+  /**
+   * Write a batch of requests: the request log, endpoint totals and the rollups
+   */
+  writeRequests(batch) {
+    const totals = new Map(); // endpointId -> summed counts
+
+    batch.forEach(entry => {
+      if (entry.rateLimited) {
+        return;
+      }
+
       this.db.run(
-        'INSERT INTO request_log (endpoint_id, method, success, response_time_ms, http_status_code, error_message) VALUES (?, ?, ?, ?, ?, ?)',
-        [endpointId, method, success ? 1 : 0, responseTimeMs, httpStatusCode, errorMessage]
+        'INSERT INTO request_log (endpoint_id, method, success, response_time_ms, http_status_code, error_message, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [entry.endpointId, entry.method, entry.success ? 1 : 0, entry.responseTimeMs, entry.httpStatusCode, entry.errorMessage, sqlTimestamp(entry.at)]
       );
 
-      // Get current statistics
-      const stmt = this.db.prepare('SELECT * FROM endpoint_statistics WHERE endpoint_id = ?');
-      stmt.bind([endpointId]);
+      const sum = totals.get(entry.endpointId) || { requests: 0, successful: 0, responseTimeMs: 0, lastAt: 0 };
+      sum.requests++;
+      sum.successful += entry.success ? 1 : 0;
+      sum.responseTimeMs += entry.responseTimeMs;
+      sum.lastAt = Math.max(sum.lastAt, entry.at);
+      totals.set(entry.endpointId, sum);
+    });
 
-      if (stmt.step()) {
-        const stats = stmt.getAsObject();
-        stmt.free();
+    totals.forEach((sum, endpointId) => {
+      this.db.run(
+        `UPDATE endpoint_statistics
+         SET total_requests = total_requests + ?,
+             successful_requests = successful_requests + ?,
+             failed_requests = failed_requests + ?,
+             total_response_time_ms = total_response_time_ms + ?,
+             avg_response_time_ms = CAST(total_response_time_ms + ? AS REAL) / (total_requests + ?),
+             last_request_at = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE endpoint_id = ?`,
+        [
+          sum.requests, sum.successful, sum.requests - sum.successful, sum.responseTimeMs,
+          sum.responseTimeMs, sum.requests, sqlTimestamp(sum.lastAt), endpointId
+        ]
+      );
+    });
+
+    this.writeRollups(batch);
+  }
+
+  /**
+   * Add a batch of requests to the minute and hour rollups of their endpoint and method
+   * Rate limited attempts are left out of the latency sketches
+   */
+  writeRollups(batch) {
+    Object.entries(ROLLUP_TABLES).forEach(([granularity, table]) => {
+      const groups = new Map(); // 'endpointId|method|bucket' -> summed counts and latencies
+
+      batch.forEach(entry => {
+        const bucket = bucketStart(entry.at, granularity);
+        const key = `${entry.endpointId}|${entry.method}|${bucket}`;
+        const latency = Math.round(entry.responseTimeMs);
+
+        const group = groups.get(key) || {
+          endpointId: entry.endpointId,
+          method: entry.method,
+          bucket,
+          requests: 0,
+          errors: 0,
+          rateLimited: 0,
+          latencySum: 0,
+          latencyMin: latency,
+          latencyMax: latency,
+          sketched: []
+        };
+        group.requests++;
+        group.errors += !entry.success && !entry.rateLimited ? 1 : 0;
+        group.rateLimited += entry.rateLimited ? 1 : 0;
+        group.latencySum += latency;
+        group.latencyMin = Math.min(group.latencyMin, latency);
+        group.latencyMax = Math.max(group.latencyMax, latency);
+        if (!entry.rateLimited) {
+          group.sketched.push(latency);
+        }
+        groups.set(key, group);
+      });
 
-        const newTotalRequests = (stats.total_requests || 0) + 1;
-        const newSuccessful = success ? (stats.successful_requests || 0) + 1 : (stats.successful_requests || 0);
-        const newFailed = success ? (stats.failed_requests || 0) : (stats.failed_requests || 0) + 1;
-        const newTotalResponseTime = (stats.total_response_time_ms || 0) + (responseTimeMs || 0);
-        const newAvgResponseTime = newTotalResponseTime / newTotalRequests;
+      groups.forEach(group => {
+        let sketch = null;
+        if (group.sketched.length > 0) {
+          sketch = this.getCurrentSketch(table, group.endpointId, group.method, group.bucket);
+          group.sketched.forEach(latency => sketch.add(latency));
+        }
 
-        // Update aggregate statistics
         this.db.run(
-          `UPDATE endpoint_statistics
-           SET total_requests = ?,
-               successful_requests = ?,
-               failed_requests = ?,
-               total_response_time_ms = ?,
-               avg_response_time_ms = ?,
-               last_request_at = CURRENT_TIMESTAMP,
-               updated_at = CURRENT_TIMESTAMP
-           WHERE endpoint_id = ?`,
-          [newTotalRequests, newSuccessful, newFailed, newTotalResponseTime, newAvgResponseTime, endpointId]
+          `INSERT INTO ${table}
+             (endpoint_id, method, bucket, requests, errors, rate_limited, latency_sum_ms, latency_min_ms, latency_max_ms, latency_sketch)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(endpoint_id, method, bucket) DO UPDATE SET
+             requests = requests + excluded.requests,
+             errors = errors + excluded.errors,
+             rate_limited = rate_limited + excluded.rate_limited,
+             latency_sum_ms = latency_sum_ms + excluded.latency_sum_ms,
+             latency_min_ms = MIN(latency_min_ms, excluded.latency_min_ms),
+             latency_max_ms = MAX(latency_max_ms, excluded.latency_max_ms),
+             latency_sketch = COALESCE(excluded.latency_sketch, latency_sketch)`,
+          [
+            group.endpointId, group.method, group.bucket, group.requests, group.errors, group.rateLimited,
+            group.latencySum, group.latencyMin, group.latencyMax, sketch ? JSON.stringify(sketch) : null
+          ]
         );
-      } else {
-        stmt.free();
+      });
+    });
+  }
+
+  /**
+   * Get the in-memory latency sketch of a rollup bucket, starting from the stored
+   * one when the bucket was begun before a restart
+   */
+  getCurrentSketch(table, endpointId, method, bucket) {
+    const key = `${table}|${endpointId}|${method}`;
+    const current = this.sketches.get(key);
+    if (current && current.bucket === bucket) {
+      return current.sketch;
+    }
+
+    const stmt = this.db.prepare(
+      `SELECT latency_sketch FROM ${table} WHERE endpoint_id = ? AND method = ? AND bucket = ?`
+    );
+    stmt.bind([endpointId, method, bucket]);
+    const saved = stmt.step() ? stmt.getAsObject().latency_sketch : null;
+    stmt.free();
+
+    const sketch = saved ? LatencySketch.fromJSON(saved) : new LatencySketch();
+    this.sketches.set(key, { bucket, sketch });
+    return sketch;
+  }
+
+  /**
+   * Fill the hour rollups from request_log when they are empty, so history logged
+   * before rollups existed survives request_log pruning
+   */
+  backfillRollups() {
+    try {
+      const stmt = this.db.prepare(
+        'SELECT (SELECT COUNT(*) FROM request_stats_hour) as rollups, (SELECT COUNT(*) FROM request_log) as logged'
+      );
+      stmt.step();
+      const { rollups, logged } = stmt.getAsObject();
+      stmt.free();
+
+      if (rollups > 0 || logged === 0) {
+        return;
       }
 
-      // Periodically save database (every 10 requests)
-      if (Math.random() < 0.1) {
-        this.dbManager.save();
+      this.db.run(`
+        INSERT INTO request_stats_hour
+          (endpoint_id, method, bucket, requests, errors, rate_limited, latency_sum_ms, latency_min_ms, latency_max_ms)
+        SELECT
+          endpoint_id,
+          method,
+          strftime('%Y-%m-%dT%H:00:00.000Z', created_at),
+          COUNT(*),
+          SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END),
+          0,
+          SUM(COALESCE(response_time_ms, 0)),
+          MIN(response_time_ms),
+          MAX(response_time_ms)
+        FROM request_log
+        GROUP BY endpoint_id, method, strftime('%Y-%m-%dT%H:00:00.000Z', created_at)
+      `);
+      this.dirty = true;
+
+      console.log(`Backfilled hour rollups from ${logged} logged requests`);
+    } catch (error) {
+      console.error('Error backfilling rollups:', error);
+    }
+  }
+
+  /**
+   * Delete request_log rows and rollups older than the retention policy
+   * retention: { requestLogDays, minuteRollupDays, hourRollupDays }, null keeps a table forever
+   * Returns the number of rows deleted per table
+   */
+  pruneStatistics(retention) {
+    const deleted = {};
+
+    try {
+      if (retention.requestLogDays !== null) {
+        this.db.run("DELETE FROM request_log WHERE created_at < datetime('now', ?)", [`-${retention.requestLogDays} days`]);
+        deleted.request_log = this.db.getRowsModified();
       }
+
+      [['minute', retention.minuteRollupDays], ['hour', retention.hourRollupDays]].forEach(([granularity, days]) => {
+        if (days !== null) {
+          const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+          this.db.run(`DELETE FROM ${ROLLUP_TABLES[granularity]} WHERE bucket < ?`, [cutoff]);
+          deleted[ROLLUP_TABLES[granularity]] = this.db.getRowsModified();
+        }
+      });
+
+      this.dirty = true;
     } catch (error) {
-      console.error('Error recording request:', error);
+      console.error('Error pruning statistics:', error);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Get rollup totals per endpoint and method for buckets starting in [from, to]
+   * Returns rows of { endpoint_id, method, requests, errors, rate_limited, latency_sum_ms, latency_min_ms, latency_max_ms }
+   */
+  getRollupTotals(endpointIds, granularity, from, to) {
+    return this.queryRollups(endpointIds, granularity, from, to, 'endpoint_id, method');
+  }
+
+  /**
+   * Get rollup totals per bucket for buckets starting in [from, to], oldest first
+   * Returns rows of { bucket, requests, errors, rate_limited, latency_sum_ms, latency_min_ms, latency_max_ms }
+   */
+  getRollupSeries(endpointIds, granularity, from, to) {
+    return this.queryRollups(endpointIds, granularity, from, to, 'bucket');
+  }
+
+  /**
+   * Get rollup rows with their latency sketches per endpoint, method and bucket
+   * for buckets starting in [from, to]
+   * Returns rows of { endpoint_id, method, requests, errors, rate_limited, latency_sketch }
+   */
+  getRollupSketches(endpointIds, granularity, from, to) {
+    this.flush();
+    if (endpointIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT endpoint_id, method, requests, errors, rate_limited, latency_sketch
+        FROM ${ROLLUP_TABLES[granularity]}
+        WHERE endpoint_id IN (${endpointIds.map(() => '?').join(', ')})
+          AND bucket >= ? AND bucket <= ?
+      `);
+      stmt.bind([...endpointIds, bucketStart(from.getTime(), granularity), to.toISOString()]);
+
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+
+      return rows;
+    } catch (error) {
+      console.error('Error loading latency sketches:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most frequent error messages per endpoint and method logged in [from, to]
+   * Only reaches back as far as request_log is kept
+   * Returns rows of { endpoint_id, method, error_message, count }, most frequent first
+   */
+  getErrorCounts(endpointIds, from, to) {
+    this.flush();
+    if (endpointIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT endpoint_id, method, error_message, COUNT(*) as count
+        FROM request_log
+        WHERE endpoint_id IN (${endpointIds.map(() => '?').join(', ')})
+          AND success = 0
+          AND created_at >= datetime(?) AND created_at <= datetime(?)
+        GROUP BY endpoint_id, method, error_message
+        ORDER BY count DESC
+      `);
+      stmt.bind([...endpointIds, from.toISOString(), to.toISOString()]);
+
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+
+      return rows;
+    } catch (error) {
+      console.error('Error loading error counts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Sum rollups of the given endpoints, grouped by the given columns
+   */
+  queryRollups(endpointIds, granularity, from, to, groupBy) {
+    this.flush();
+    if (endpointIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT
+          ${groupBy},
+          SUM(requests) as requests,
+          SUM(errors) as errors,
+          SUM(rate_limited) as rate_limited,
+          SUM(latency_sum_ms) as latency_sum_ms,
+          MIN(latency_min_ms) as latency_min_ms,
+          MAX(latency_max_ms) as latency_max_ms
+        FROM ${ROLLUP_TABLES[granularity]}
+        WHERE endpoint_id IN (${endpointIds.map(() => '?').join(', ')})
+          AND bucket >= ? AND bucket <= ?
+        GROUP BY ${groupBy}
+        ORDER BY ${groupBy}
+      `);
+      stmt.bind([...endpointIds, bucketStart(from.getTime(), granularity), to.toISOString()]);
+
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+
+      return rows;
+    } catch (error) {
+      console.error('Error loading rollups:', error);
+      return [];
     }
   }
 
@@ -120,25 +771,124 @@ class StatisticsRepository {
    * Record a rate limit event
    */
   recordRateLimitEvent(endpointId, cooldownMs, httpStatusCode = null, errorMessage = null) {
-    try {
-      const recoveryTime = new Date(Date.now() + cooldownMs).toISOString();
+    this.bufferWrite('rateLimitEvent', {
+      endpointId,
+      recoveryTime: new Date(Date.now() + cooldownMs).toISOString(),
+      cooldownMs,
+      httpStatusCode,
+      errorMessage
+    });
+    console.log(`Recorded rate limit event for endpoint ${endpointId}: cooldown ${cooldownMs}ms`);
+  }
+
+  /**
+   * Record a circuit breaker transition of an endpoint
+   */
+  recordCircuitTransition(endpointId, fromState, toState, reason) {
+    this.bufferWrite('circuitTransition', { endpointId, fromState, toState, reason });
+  }
 
+  /**
+   * Record that an endpoint's answer disagreed with the others in quorum mode
+   */
+  recordDisagreement(endpointId) {
+    this.bufferWrite('disagreement', { endpointId });
+  }
+
+  /**
+   * Record how one endpoint answered a broadcast transaction
+   * outcome: accepted, already_known, rejected or failed
+   */
+  recordBroadcast(txHash, chain, endpointId, outcome, errorMessage, responseTimeMs) {
+    this.bufferWrite('broadcast', { txHash, chain, endpointId, outcome, errorMessage, responseTimeMs });
+  }
+
+  /**
+   * Ensure an API key exists in the database (identified by the hash of the key)
+   * Returns API key ID
+   */
+  ensureApiKey(keyHash, name) {
+    try {
       this.db.run(
-        'INSERT INTO rate_limit_events (endpoint_id, recovery_time, cooldown_duration_ms, http_status_code, error_message) VALUES (?, ?, ?, ?, ?)',
-        [endpointId, recoveryTime, cooldownMs, httpStatusCode, errorMessage]
+        `INSERT INTO api_keys (key_hash, name) VALUES (?, ?)
+         ON CONFLICT(key_hash) DO UPDATE SET name = excluded.name`,
+        [keyHash, name]
       );
 
-      // Update rate limited request count
-      this.db.run(
-        'UPDATE endpoint_statistics SET rate_limited_requests = rate_limited_requests + 1, updated_at = CURRENT_TIMESTAMP WHERE endpoint_id = ?',
-        [endpointId]
+      const stmt = this.db.prepare('SELECT id FROM api_keys WHERE key_hash = ?');
+      stmt.bind([keyHash]);
+      stmt.step();
+      const result = stmt.getAsObject();
+      stmt.free();
+
+      this.dirty = true;
+      return result.id;
+    } catch (error) {
+      console.error('Error ensuring API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a client request against an API key for the day
+   */
+  recordApiKeyUsage(apiKeyId, day, method, rejected) {
+    this.bufferWrite('apiKeyUsage', { apiKeyId, day, method, rejected });
+  }
+
+  /**
+   * Add compute units spent on an endpoint to its day ('YYYY-MM-DD') and month ('YYYY-MM') totals
+   */
+  recordComputeUnits(endpointId, day, month, units, requests) {
+    this.bufferWrite('computeUnits', { endpointId, day, month, units, requests });
+  }
+
+  /**
+   * Get an endpoint's compute unit totals for a day or month
+   * Returns { units, requests } (zero if nothing was recorded)
+   */
+  getComputeUnits(endpointId, period) {
+    this.flush();
+    try {
+      const stmt = this.db.prepare(
+        'SELECT units, requests FROM compute_unit_usage WHERE endpoint_id = ? AND period = ?'
       );
+      stmt.bind([endpointId, period]);
+
+      let totals = { units: 0, requests: 0 };
+      if (stmt.step()) {
+        totals = stmt.getAsObject();
+      }
+      stmt.free();
 
-      console.log(`Recorded rate limit event for endpoint ${endpointId}: cooldown ${cooldownMs}ms`);
+      return totals;
+    } catch (error) {
+      console.error('Error loading compute units:', error);
+      return { units: 0, requests: 0 };
+    }
+  }
 
-      this.dbManager.save();
+  /**
+   * Get an API key's usage for a day, per method
+   */
+  getApiKeyUsage(apiKeyId, day) {
+    this.flush();
+    try {
+      const stmt = this.db.prepare(
+        'SELECT method, requests, rejected FROM api_key_usage WHERE api_key_id = ? AND day = ? ORDER BY requests DESC'
+      );
+      stmt.bind([apiKeyId, day]);
+
+      const usage = [];
+      while (stmt.step()) {
+        usage.push(stmt.getAsObject());
+      }
+      stmt.free();
+
+      return usage;
     } catch (error) {
-      console.error('Error recording rate limit event:', error);
+      console.error('Error loading API key usage:', error);
+      return [];
     }
   }
 
@@ -147,6 +897,7 @@ class StatisticsRepository {
    * Returns recent rate limit events (last N days)
    */
   loadRateLimitHistory(endpointId, days = 7) {
+    this.flush();
     try {
       const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
@@ -168,15 +919,122 @@ class StatisticsRepository {
     }
   }
 
+  /**
+   * Get the request rate (requests per second) logged for an endpoint over the last windowMs
+   * Buffered requests count too
+   */
+  getRequestRate(endpointId, windowMs) {
+    const since = Date.now() - windowMs;
+    const buffered = this.getBufferedRequests(endpointId).filter(entry => entry.at > since).length;
+
+    try {
+      const stmt = this.db.prepare(
+        "SELECT COUNT(*) as requests FROM request_log WHERE endpoint_id = ? AND created_at > datetime('now', ?)"
+      );
+      stmt.bind([endpointId, `-${Math.round(windowMs / 1000)} seconds`]);
+      stmt.step();
+      const result = stmt.getAsObject();
+      stmt.free();
+
+      return (result.requests + buffered) / (windowMs / 1000);
+    } catch (error) {
+      console.error('Error calculating request rate:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the request rate (requests per second) logged in the windowMs before each
+   * rate limit event of an endpoint in the last N days
+   */
+  getRatesBeforeRateLimits(endpointId, windowMs, days = 7) {
+    this.flush();
+    try {
+      const stmt = this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM request_log r
+           WHERE r.endpoint_id = e.endpoint_id
+             AND r.created_at > datetime(e.detected_at, ?)
+             AND r.created_at <= e.detected_at) as requests
+        FROM rate_limit_events e
+        WHERE e.endpoint_id = ? AND e.detected_at >= datetime('now', ?)
+      `);
+      stmt.bind([`-${Math.round(windowMs / 1000)} seconds`, endpointId, `-${days} days`]);
+
+      const rates = [];
+      while (stmt.step()) {
+        rates.push(stmt.getAsObject().requests / (windowMs / 1000));
+      }
+      stmt.free();
+
+      return rates;
+    } catch (error) {
+      console.error('Error loading rates before rate limits:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the learned sustainable request rate of an endpoint
+   * budget: { requestsPerSecond, loweredAt, updatedAt } with ISO timestamps
+   */
+  saveRateBudget(endpointId, budget) {
+    this.bufferWrite('rateBudget', { endpointId, ...budget });
+  }
+
+  /**
+   * Get the saved rate budget of an endpoint
+   * Returns { requestsPerSecond, loweredAt, updatedAt } or null
+   */
+  getRateBudget(endpointId) {
+    this.flush();
+    try {
+      const stmt = this.db.prepare(
+        'SELECT requests_per_second, lowered_at, updated_at FROM endpoint_rate_budgets WHERE endpoint_id = ?'
+      );
+      stmt.bind([endpointId]);
+
+      let budget = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        budget = {
+          requestsPerSecond: row.requests_per_second,
+          loweredAt: row.lowered_at,
+          updatedAt: row.updated_at
+        };
+      }
+      stmt.free();
+
+      return budget;
+    } catch (error) {
+      console.error('Error loading rate budget:', error);
+      return null;
+    }
+  }
+
   /**
    * Get recent request history for pattern analysis
+   * Buffered requests are the most recent and come last, shaped like request_log rows
    */
   getRecentRequests(endpointId, limit = 20) {
+    const buffered = this.getBufferedRequests(endpointId).slice(-limit).map(entry => ({
+      endpoint_id: entry.endpointId,
+      method: entry.method,
+      success: entry.success ? 1 : 0,
+      response_time_ms: entry.responseTimeMs,
+      http_status_code: entry.httpStatusCode,
+      error_message: entry.errorMessage,
+      created_at: sqlTimestamp(entry.at)
+    }));
+    if (buffered.length >= limit) {
+      return buffered;
+    }
+
     try {
       const stmt = this.db.prepare(
         'SELECT * FROM request_log WHERE endpoint_id = ? ORDER BY created_at DESC LIMIT ?'
       );
-      stmt.bind([endpointId, limit]);
+      stmt.bind([endpointId, limit - buffered.length]);
 
       const requests = [];
       while (stmt.step()) {
@@ -184,10 +1042,10 @@ class StatisticsRepository {
       }
       stmt.free();
 
-      return requests.reverse(); // Return oldest to newest
+      return requests.reverse().concat(buffered); // Return oldest to newest
     } catch (error) {
       console.error('Error getting recent requests:', error);
-      return [];
+      return buffered;
     }
   }
 
@@ -195,6 +1053,7 @@ class StatisticsRepository {
    * Get statistics for all endpoints
    */
   getEndpointStatistics() {
+    this.flush();
     try {
       const stmt = this.db.prepare(`
         SELECT
@@ -206,6 +1065,7 @@ class StatisticsRepository {
           s.failed_requests,
           s.rate_limited_requests,
           s.avg_response_time_ms,
+          s.disagreements,
           s.last_request_at
         FROM endpoints e
         LEFT JOIN endpoint_statistics s ON e.id = s.endpoint_id
@@ -229,6 +1089,7 @@ class StatisticsRepository {
    * Get statistics for a specific endpoint
    */
   getEndpointStatById(endpointId) {
+    this.flush();
     try {
       const stmt = this.db.prepare(`
         SELECT
@@ -240,6 +1101,7 @@ class StatisticsRepository {
           s.failed_requests,
           s.rate_limited_requests,
           s.avg_response_time_ms,
+          s.disagreements,
           s.last_request_at
         FROM endpoints e
         LEFT JOIN endpoint_statistics s ON e.id = s.endpoint_id
@@ -260,10 +1122,76 @@ class StatisticsRepository {
     }
   }
 
+  /**
+   * Save probed capabilities for an endpoint (replaces previous probe)
+   */
+  saveCapabilities(endpointId, capabilities) {
+    try {
+      const toFlag = (value) => (value === null || value === undefined ? null : (value ? 1 : 0));
+
+      this.db.run(
+        `INSERT OR REPLACE INTO endpoint_capabilities
+         (endpoint_id, supports_debug, supports_trace, supports_txpool, supports_get_logs, supports_batch,
+          archive_depth, max_logs_range, head_block, probed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          endpointId,
+          toFlag(capabilities.debug),
+          toFlag(capabilities.trace),
+          toFlag(capabilities.txpool),
+          toFlag(capabilities.getLogs),
+          toFlag(capabilities.batch),
+          capabilities.archiveDepth,
+          capabilities.maxLogsRange,
+          capabilities.headBlock,
+          capabilities.probedAt
+        ]
+      );
+
+      this.dirty = true;
+    } catch (error) {
+      console.error('Error saving endpoint capabilities:', error);
+    }
+  }
+
+  /**
+   * Load the last probed capabilities for an endpoint
+   */
+  getCapabilities(endpointId) {
+    try {
+      const stmt = this.db.prepare('SELECT * FROM endpoint_capabilities WHERE endpoint_id = ?');
+      stmt.bind([endpointId]);
+
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+
+        const fromFlag = (value) => (value === null ? null : Boolean(value));
+        return {
+          debug: fromFlag(row.supports_debug),
+          trace: fromFlag(row.supports_trace),
+          txpool: fromFlag(row.supports_txpool),
+          getLogs: fromFlag(row.supports_get_logs),
+          batch: fromFlag(row.supports_batch),
+          archiveDepth: row.archive_depth,
+          maxLogsRange: row.max_logs_range,
+          headBlock: row.head_block,
+          probedAt: row.probed_at
+        };
+      }
+      stmt.free();
+      return null;
+    } catch (error) {
+      console.error('Error loading endpoint capabilities:', error);
+      return null;
+    }
+  }
+
   /**
    * Calculate average cooldown duration from history
    */
   getAverageCooldown(endpointId, days = 7) {
+    this.flush();
     try {
       const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
@@ -286,4 +1214,18 @@ class StatisticsRepository {
   }
 }
 
+/**
+ * Get the ISO start of the rollup bucket containing a time (ms)
+ */
+function bucketStart(time, granularity) {
+  return new Date(Math.floor(time / BUCKET_MS[granularity]) * BUCKET_MS[granularity]).toISOString();
+}
+
+/**
+ * Format a time (ms) like SQLite's CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS' UTC)
+ */
+function sqlTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
 module.exports = StatisticsRepository;
@@ -62,6 +62,25 @@ class DatabaseManager {
         console.log(`  ✓ Table: ${name}`);
       });
 
+      // Add columns missing from existing tables
+      Object.entries(SCHEMA.columns).forEach(([table, columns]) => {
+        const existing = this.getColumnNames(table);
+        Object.entries(columns).forEach(([column, definition]) => {
+          if (!existing.includes(column)) {
+            this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`  ✓ Column: ${table}.${column}`);
+          }
+        });
+      });
+
+      // Rebuild tables whose constraints changed
+      Object.entries(SCHEMA.rebuilds).forEach(([table, outdated]) => {
+        if (outdated.test(this.getTableSql(table))) {
+          this.rebuildTable(table);
+          console.log(`  ✓ Rebuilt: ${table}`);
+        }
+      });
+
       // Create indexes
       Object.entries(SCHEMA.indexes).forEach(([name, sql]) => {
         this.db.run(sql);
@@ -75,6 +94,50 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Get column names of a table
+   */
+  getColumnNames(table) {
+    const result = this.db.exec(`PRAGMA table_info(${table})`);
+    if (result.length === 0) {
+      return [];
+    }
+    const nameIndex = result[0].columns.indexOf('name');
+    return result[0].values.map(row => row[nameIndex]);
+  }
+
+  /**
+   * Get the stored CREATE statement of a table
+   */
+  getTableSql(table) {
+    const result = this.db.exec("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return result.length > 0 ? result[0].values[0][0] : '';
+  }
+
+  /**
+   * Recreate a table with its current schema, keeping its rows and ids
+   * (create the new table, copy the rows, drop the old one, rename the new one)
+   */
+  rebuildTable(table) {
+    const rebuilt = `${table}_rebuilt`;
+    const columns = this.getColumnNames(table).join(', ');
+
+    this.db.run('BEGIN TRANSACTION');
+    try {
+      this.db.run(SCHEMA.tables[table].replace(`CREATE TABLE IF NOT EXISTS ${table} (`, `CREATE TABLE ${rebuilt} (`));
+      Object.entries(SCHEMA.columns[table] || {}).forEach(([column, definition]) => {
+        this.db.run(`ALTER TABLE ${rebuilt} ADD COLUMN ${column} ${definition}`);
+      });
+      this.db.run(`INSERT INTO ${rebuilt} (${columns}) SELECT ${columns} FROM ${table}`);
+      this.db.run(`DROP TABLE ${table}`);
+      this.db.run(`ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+      this.db.run('COMMIT');
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+  }
+
   /**
    * Save database to file
    */
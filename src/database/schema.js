@@ -1,6 +1,7 @@
 /**
  * Database schema for SQLite
- * Tracks endpoint statistics and rate limit events
+ * Tracks endpoint statistics (lifetime totals and per-minute/per-hour rollups with latency sketches), rate limit events, learned rate budgets, circuit breaker transitions,
+ * compute unit usage, discovered capabilities, transaction broadcasts and client API key usage
  */
 
 const SCHEMA = {
@@ -9,7 +10,7 @@ const SCHEMA = {
     endpoints: `
       CREATE TABLE IF NOT EXISTS endpoints (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        url TEXT UNIQUE NOT NULL,
+        url TEXT NOT NULL,
         is_active BOOLEAN DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -57,11 +58,156 @@ const SCHEMA = {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
       )
+    `,
+
+    request_stats_minute: `
+      CREATE TABLE IF NOT EXISTS request_stats_minute (
+        endpoint_id INTEGER NOT NULL,
+        method TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        errors INTEGER DEFAULT 0,
+        rate_limited INTEGER DEFAULT 0,
+        latency_sum_ms INTEGER DEFAULT 0,
+        latency_min_ms INTEGER,
+        latency_max_ms INTEGER,
+        latency_sketch TEXT,
+        PRIMARY KEY (endpoint_id, method, bucket),
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    request_stats_hour: `
+      CREATE TABLE IF NOT EXISTS request_stats_hour (
+        endpoint_id INTEGER NOT NULL,
+        method TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        errors INTEGER DEFAULT 0,
+        rate_limited INTEGER DEFAULT 0,
+        latency_sum_ms INTEGER DEFAULT 0,
+        latency_min_ms INTEGER,
+        latency_max_ms INTEGER,
+        latency_sketch TEXT,
+        PRIMARY KEY (endpoint_id, method, bucket),
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    api_keys: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_hash TEXT UNIQUE NOT NULL,
+        name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME
+      )
+    `,
+
+    api_key_usage: `
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        method TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        rejected INTEGER DEFAULT 0,
+        PRIMARY KEY (api_key_id, day, method),
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+      )
+    `,
+
+    compute_unit_usage: `
+      CREATE TABLE IF NOT EXISTS compute_unit_usage (
+        endpoint_id INTEGER NOT NULL,
+        period TEXT NOT NULL,
+        units INTEGER DEFAULT 0,
+        requests INTEGER DEFAULT 0,
+        PRIMARY KEY (endpoint_id, period),
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    tx_broadcasts: `
+      CREATE TABLE IF NOT EXISTS tx_broadcasts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tx_hash TEXT NOT NULL,
+        chain TEXT,
+        endpoint_id INTEGER NOT NULL,
+        outcome TEXT NOT NULL,
+        error_message TEXT,
+        response_time_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    circuit_breaker_events: `
+      CREATE TABLE IF NOT EXISTS circuit_breaker_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint_id INTEGER NOT NULL,
+        from_state TEXT NOT NULL,
+        to_state TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    endpoint_rate_budgets: `
+      CREATE TABLE IF NOT EXISTS endpoint_rate_budgets (
+        endpoint_id INTEGER PRIMARY KEY,
+        requests_per_second REAL NOT NULL,
+        lowered_at DATETIME,
+        updated_at DATETIME,
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
+    `,
+
+    endpoint_capabilities: `
+      CREATE TABLE IF NOT EXISTS endpoint_capabilities (
+        endpoint_id INTEGER PRIMARY KEY,
+        supports_debug BOOLEAN,
+        supports_trace BOOLEAN,
+        supports_txpool BOOLEAN,
+        supports_get_logs BOOLEAN,
+        supports_batch BOOLEAN,
+        archive_depth INTEGER,
+        max_logs_range INTEGER,
+        head_block INTEGER,
+        probed_at DATETIME,
+        FOREIGN KEY (endpoint_id) REFERENCES endpoints(id)
+      )
     `
   },
 
+  // Columns added to existing tables after their first release
+  // (CREATE TABLE IF NOT EXISTS doesn't add them to existing databases)
+  columns: {
+    endpoints: {
+      chain: 'TEXT',
+      options: 'TEXT',
+      source: "TEXT DEFAULT 'config'",
+      removed_at: 'DATETIME'
+    },
+    endpoint_statistics: {
+      disagreements: 'INTEGER DEFAULT 0'
+    }
+  },
+
+  // Tables rebuilt once because a constraint of an earlier release changed (ALTER TABLE
+  // can't drop constraints), matched against the table's stored CREATE statement
+  rebuilds: {
+    // url was unique across chains; endpoints are now unique per chain and url
+    endpoints: /\burl TEXT UNIQUE\b/i
+  },
+
   // Index creation SQL
   indexes: {
+    endpoints_chain_url: `
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_endpoints_chain_url
+      ON endpoints(chain, url)
+    `,
+
     request_log_endpoint: `
       CREATE INDEX IF NOT EXISTS idx_request_log_endpoint
       ON request_log(endpoint_id)
@@ -77,9 +223,29 @@ const SCHEMA = {
       ON rate_limit_events(endpoint_id)
     `,
 
+    tx_broadcasts_hash: `
+      CREATE INDEX IF NOT EXISTS idx_tx_broadcasts_hash
+      ON tx_broadcasts(tx_hash)
+    `,
+
     rate_limit_detected: `
       CREATE INDEX IF NOT EXISTS idx_rate_limit_detected
       ON rate_limit_events(detected_at)
+    `,
+
+    request_stats_minute_bucket: `
+      CREATE INDEX IF NOT EXISTS idx_request_stats_minute_bucket
+      ON request_stats_minute(bucket)
+    `,
+
+    request_stats_hour_bucket: `
+      CREATE INDEX IF NOT EXISTS idx_request_stats_hour_bucket
+      ON request_stats_hour(bucket)
+    `,
+
+    circuit_breaker_endpoint: `
+      CREATE INDEX IF NOT EXISTS idx_circuit_breaker_endpoint
+      ON circuit_breaker_events(endpoint_id)
     `
   }
 };
@@ -1,9 +1,11 @@
 const { loadConfig } = require('./config/config');
 const DatabaseManager = require('./database/database');
 const StatisticsRepository = require('./database/StatisticsRepository');
-const WorkerPool = require('./core/WorkerPool');
-const RequestRouter = require('./core/RequestRouter');
+const ChainManager = require('./core/ChainManager');
+const ConfigReloader = require('./core/ConfigReloader');
+const ApiKeyManager = require('./core/ApiKeyManager');
 const { startServer } = require('./server');
+const { attachWebSocketServer } = require('./websocket');
 
 /**
  * Main application startup
@@ -26,30 +28,44 @@ async function startup() {
 
     // 3. Create statistics repository
     console.log('\n3. Creating statistics repository...');
-    const statsRepo = new StatisticsRepository(db, dbManager);
+    const statsRepo = new StatisticsRepository(db, dbManager, config);
+    statsRepo.backfillRollups();
+    statsRepo.startFlushing();
 
-    // 4. Initialize worker pool
-    console.log('\n4. Initializing worker pool...');
-    const workerPool = new WorkerPool(config.endpoints, config, statsRepo);
+    // 4. Initialize worker pools and routers for each chain
+    console.log('\n4. Initializing chains...');
+    const chainManager = new ChainManager(config, statsRepo);
+    await chainManager.initialize();
 
-    // 5. Start health checks
+    // 5. Start health checks and statistics pruning
     console.log('\n5. Starting health checks...');
-    workerPool.startHealthChecks();
-
-    // 6. Initialize request router
-    console.log('\n6. Initializing request router...');
-    const router = new RequestRouter(workerPool, statsRepo);
+    chainManager.startHealthChecks();
+
+    // 6. Start Express server
+    console.log('\n6. Starting HTTP server...');
+    const apiKeys = new ApiKeyManager(config, statsRepo);
+    const server = startServer(chainManager, config, apiKeys);
+
+    // 7. Attach WebSocket listener
+    let wss = null;
+    if (config.websocket.enabled) {
+      console.log('\n7. Attaching WebSocket listener...');
+      wss = attachWebSocketServer(server, chainManager, config, apiKeys);
+    }
 
-    // 7. Start Express server
-    console.log('\n7. Starting HTTP server...');
-    const server = startServer(router, config);
+    // 8. Watch configuration for changes (also reloaded on SIGHUP)
+    console.log('\n8. Enabling configuration reload...');
+    const configReloader = new ConfigReloader(config, chainManager);
+    configReloader.on('reload', event => chainManager.recordConfigReload(event));
+    configReloader.start();
+    process.on('SIGHUP', () => configReloader.reload('SIGHUP'));
 
-    // 8. Setup graceful shutdown
-    setupGracefulShutdown(server, workerPool, dbManager);
+    // 9. Setup graceful shutdown
+    setupGracefulShutdown(server, wss, chainManager, dbManager, configReloader);
 
     console.log('✓ Startup complete\n');
 
-    return { server, workerPool, dbManager, router };
+    return { server, wss, chainManager, dbManager, configReloader };
   } catch (error) {
     console.error('Failed to start application:', error);
     process.exit(1);
@@ -59,19 +75,24 @@ async function startup() {
 /**
  * Setup graceful shutdown handlers
  */
-function setupGracefulShutdown(server, workerPool, dbManager) {
+function setupGracefulShutdown(server, wss, chainManager, dbManager, configReloader) {
   const shutdown = async (signal) => {
     console.log(`\n${signal} received - starting graceful shutdown...`);
 
     // 1. Stop accepting new connections
     console.log('1. Closing HTTP server...');
+    if (wss) {
+      wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+      wss.close();
+    }
     server.close(() => {
       console.log('   ✓ HTTP server closed');
     });
 
     // 2. Stop health checks
     console.log('2. Stopping health checks...');
-    workerPool.stopHealthChecks();
+    configReloader.stop();
+    chainManager.stop();
     console.log('   ✓ Health checks stopped');
 
     // 3. Wait for in-flight requests (with timeout)
@@ -79,7 +100,7 @@ function setupGracefulShutdown(server, workerPool, dbManager) {
     const shutdownTimeout = 30000; // 30 seconds
     const startTime = Date.now();
 
-    while (workerPool.hasActiveRequests()) {
+    while (chainManager.hasActiveRequests()) {
       if (Date.now() - startTime > shutdownTimeout) {
         console.log('   ⚠ Shutdown timeout reached, forcing exit');
         break;
@@ -90,7 +111,7 @@ function setupGracefulShutdown(server, workerPool, dbManager) {
 
     // 4. Flush statistics
     console.log('4. Flushing statistics...');
-    await workerPool.flushStatistics();
+    await chainManager.flushStatistics();
     console.log('   ✓ Statistics flushed');
 
     // 5. Close database connection
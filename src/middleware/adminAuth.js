@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+/**
+ * Admin authentication middleware
+ * Requires an "Authorization: Bearer <token>" header matching admin.token
+ */
+function adminAuth(token) {
+  const expected = Buffer.from(token);
+
+  return (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const provided = Buffer.from(match ? match[1] : '');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+module.exports = adminAuth;
@@ -1,36 +1,65 @@
 /**
  * Request logging middleware
  * Logs incoming requests with basic information
+ * API keys in the URL (/<chain path>/<key> or the key query parameter) are masked;
+ * chainPaths are the paths the chains are served at
  */
-function requestLogger(req, res, next) {
-  const startTime = Date.now();
-
-  // Log request
-  const method = req.method;
-  const url = req.url;
-  const rpcMethod = req.body?.method || 'unknown';
-
-  // Debug: log content-type and body structure for POST requests
-  if (method === 'POST' && url === '/') {
-    console.log(`→ ${method} ${url} [${rpcMethod}]`);
-    console.log(`  Content-Type: ${req.headers['content-type']}`);
-    console.log(`  Body type: ${Array.isArray(req.body) ? 'array' : typeof req.body}`);
-    if (req.body) {
-      console.log(`  Body keys:`, Object.keys(req.body).join(', '));
-      console.log(`  Full body:`, JSON.stringify(req.body).substring(0, 200));
+function requestLogger(config, chainPaths) {
+  return (req, res, next) => {
+    const startTime = Date.now();
+
+    // Log request
+    const method = req.method;
+    // Only RPC (POST) requests take a key in the path
+    const url = redactUrl(req.url, config.apiKeys.queryParam, method === 'POST' ? chainPaths : []);
+    const rpcMethod = req.body?.method || 'unknown';
+
+    // Debug: log content-type and body structure for RPC (POST) requests
+    if (method === 'POST') {
+      console.log(`→ ${method} ${url} [${rpcMethod}]`);
+      console.log(`  Content-Type: ${req.headers['content-type']}`);
+      console.log(`  Body type: ${Array.isArray(req.body) ? 'array' : typeof req.body}`);
+      if (req.body) {
+        console.log(`  Body keys:`, Object.keys(req.body).join(', '));
+        console.log(`  Full body:`, JSON.stringify(req.body).substring(0, 200));
+      }
+    } else {
+      console.log(`→ ${method} ${url} [${rpcMethod}]`);
     }
-  } else {
-    console.log(`→ ${method} ${url} [${rpcMethod}]`);
+
+    // Log response when finished
+    res.on('finish', () => {
+      const duration = Date.now() - startTime;
+      const status = res.statusCode;
+      console.log(`← ${method} ${url} [${rpcMethod}] ${status} ${duration}ms`);
+    });
+
+    next();
+  };
+}
+
+/**
+ * Mask the API key query parameter and a key path segment after a chain path
+ */
+function redactUrl(url, queryParam, chainPaths) {
+  const [pathname, query] = url.split('?');
+  let redactedPath = pathname;
+
+  const index = pathname.lastIndexOf('/');
+  const parent = pathname.slice(0, index) || '/';
+  if (!chainPaths.includes(pathname) && chainPaths.includes(parent) && index < pathname.length - 1) {
+    redactedPath = `${pathname.slice(0, index)}/***`;
   }
 
-  // Log response when finished
-  res.on('finish', () => {
-    const duration = Date.now() - startTime;
-    const status = res.statusCode;
-    console.log(`← ${method} ${url} [${rpcMethod}] ${status} ${duration}ms`);
-  });
+  if (query === undefined) {
+    return redactedPath;
+  }
 
-  next();
+  const params = new URLSearchParams(query);
+  if (params.has(queryParam)) {
+    params.set(queryParam, '***');
+  }
+  return `${redactedPath}?${params}`;
 }
 
 module.exports = requestLogger;
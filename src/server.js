@@ -1,11 +1,20 @@
 const express = require('express');
 const requestLogger = require('./middleware/requestLogger');
 const errorHandler = require('./middleware/errorHandler');
+const metrics = require('./utils/metrics');
+const { parseQuorumHeader, parsePriorityHeader, parseDeadlineHeader } = require('./utils/rpc');
+const { createAdminRouter } = require('./admin');
+
+// Default /stats window length per granularity
+const STATS_RANGE_DEFAULTS = {
+  minute: 60 * 60 * 1000,
+  hour: 24 * 60 * 60 * 1000
+};
 
 /**
  * Create and configure Express server
  */
-function createServer(router, config) {
+function createServer(chainManager, config, apiKeys) {
   const app = express();
 
   // Parse JSON bodies (with increased limit for large RPC requests)
@@ -16,12 +25,12 @@ function createServer(router, config) {
   }));
 
   // Request logging middleware
-  app.use(requestLogger);
+  app.use(requestLogger(config, chainManager.getChains().map(chain => chain.path)));
 
   // Health check endpoint
   app.get('/health', (req, res) => {
     try {
-      const status = router.getHealthStatus();
+      const status = chainManager.getHealthStatus();
       const httpStatus = status.status === 'healthy' ? 200 : 503;
       res.status(httpStatus).json(status);
     } catch (error) {
@@ -29,10 +38,22 @@ function createServer(router, config) {
     }
   });
 
-  // Statistics endpoint
+  // Statistics endpoint (from/to/granularity add a window of rollup statistics)
   app.get('/stats', async (req, res) => {
+    let range = null;
+    try {
+      if (['from', 'to', 'granularity'].some(key => req.query[key] !== undefined)) {
+        range = parseStatsRange(req.query);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     try {
-      const stats = await router.getStatistics();
+      const stats = await chainManager.getStatistics(range);
+      if (apiKeys.isEnabled()) {
+        stats.apiKeys = apiKeys.getStatistics();
+      }
       res.json(stats);
     } catch (error) {
       console.error('Error getting statistics:', error);
@@ -40,8 +61,74 @@ function createServer(router, config) {
     }
   });
 
-  // Main RPC proxy endpoint - accepts all Ethereum JSON-RPC methods
-  app.post('/', async (req, res) => {
+  // Per-method latency percentiles, success rates and top errors over a time range
+  app.get('/stats/methods', (req, res) => {
+    let range;
+    try {
+      range = parseStatsRange(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(chainManager.getMethodStatistics(range));
+    } catch (error) {
+      console.error('Error getting method statistics:', error);
+      res.status(500).json({ error: 'Failed to get method statistics' });
+    }
+  });
+
+  // Compute unit usage of metered endpoints
+  app.get('/stats/usage', (req, res) => {
+    try {
+      res.json(chainManager.getComputeUnitUsage());
+    } catch (error) {
+      console.error('Error getting compute unit usage:', error);
+      res.status(500).json({ error: 'Failed to get compute unit usage' });
+    }
+  });
+
+  // Prometheus metrics endpoint (text exposition format)
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.set('Content-Type', metrics.register.contentType);
+      res.end(await metrics.register.metrics());
+    } catch (error) {
+      console.error('Error collecting metrics:', error);
+      res.status(500).end();
+    }
+  });
+
+  // Admin API (only when a token is configured)
+  if (config.admin.token) {
+    app.use('/admin', createAdminRouter(chainManager, config));
+  }
+
+  // RPC proxy endpoint per chain - accepts all Ethereum JSON-RPC methods
+  // While API keys are enabled, the key may also be given as a trailing path segment
+  // (/<chain path>/<key>); validateConfig keeps it from matching another chain's path
+  chainManager.getChains().forEach(chain => {
+    const handler = createRpcHandler(chain.router, config, apiKeys);
+    app.post(chain.path, handler);
+    app.post(`${chain.path.replace(/\/$/, '')}/:apiKey`, (req, res, next) => {
+      if (!apiKeys.isEnabled()) {
+        return next();
+      }
+      handler(req, res, next);
+    });
+  });
+
+  // Error handling middleware
+  app.use(errorHandler);
+
+  return app;
+}
+
+/**
+ * Create the JSON-RPC request handler for a chain's router
+ */
+function createRpcHandler(router, config, apiKeys) {
+  return async (req, res) => {
     try {
       // Debug: log raw body if parsing failed
       if (!req.body || typeof req.body !== 'object') {
@@ -57,50 +144,97 @@ function createServer(router, config) {
         });
       }
 
+      // Identify the client when API keys are required
+      let client = null;
+      if (apiKeys.isEnabled()) {
+        client = apiKeys.authenticate(apiKeys.extractKey(req));
+        if (!client) {
+          return res.status(401).json({
+            jsonrpc: '2.0',
+            error: {
+              code: -32600,
+              message: 'Invalid Request: missing or unknown API key'
+            },
+            id: req.body.id || null
+          });
+        }
+      }
+
+      // Per-request routing options from headers
+      let context;
+      try {
+        context = {
+          quorum: parseQuorumHeader(req.headers[config.quorum.header]),
+          priority: parsePriorityHeader(req.headers[config.priority.header], config.priority.classes) || client?.settings.priority,
+          deadlineMs: parseDeadlineHeader(req.headers[config.routing.deadlineHeader])
+        };
+      } catch (error) {
+        return res.status(200).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32600,
+            message: `Invalid Request: ${error.message}`
+          },
+          id: req.body.id || null
+        });
+      }
+
+      // Drop queued work if the client goes away before it gets an answer
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort();
+        }
+      });
+      context.signal = controller.signal;
+
       // Handle batch requests (array of requests)
       if (Array.isArray(req.body)) {
         console.log(`Processing batch request with ${req.body.length} requests`);
-        const results = await Promise.all(
-          req.body.map(async (request) => {
-            try {
-              // Validate each request
-              if (!request.jsonrpc) {
-                return {
-                  jsonrpc: '2.0',
-                  error: {
-                    code: -32600,
-                    message: 'Invalid Request: missing jsonrpc field'
-                  },
-                  id: request.id || null
-                };
-              }
-
-              if (!request.method) {
-                return {
-                  jsonrpc: '2.0',
-                  error: {
-                    code: -32600,
-                    message: 'Invalid Request: missing method field'
-                  },
-                  id: request.id || null
-                };
-              }
-
-              // Route the request
-              return await router.routeRequest(request);
-            } catch (error) {
-              console.error('Batch request item failed:', error.message);
-              return {
-                jsonrpc: '2.0',
-                error: {
-                  code: -32603,
-                  message: `Internal error: ${error.message}`
-                },
-                id: request?.id || null
-              };
-            }
-          })
-        );
+        const results = new Array(req.body.length);
+        const routable = []; // positions of the items passed on to the router
+
+        req.body.forEach((request, index) => {
+          // Validate each request
+          if (!request?.jsonrpc) {
+            results[index] = {
+              jsonrpc: '2.0',
+              error: {
+                code: -32600,
+                message: 'Invalid Request: missing jsonrpc field'
+              },
+              id: request?.id || null
+            };
+            return;
+          }
+
+          if (!request.method) {
+            results[index] = {
+              jsonrpc: '2.0',
+              error: {
+                code: -32600,
+                message: 'Invalid Request: missing method field'
+              },
+              id: request.id || null
+            };
+            return;
+          }
+
+          // Check the API key's allowed methods and quotas
+          const refusal = client && apiKeys.checkRequest(client, request);
+          if (refusal) {
+            results[index] = refusal;
+            return;
+          }
+
+          routable.push(index);
+        });
+
+        // Route the valid items together so they can go upstream as batches
+        const routed = await router.routeBatch(routable.map(index => req.body[index]), context);
+        routable.forEach((index, i) => {
+          results[index] = routed[i];
+        });
 
         return res.status(200).json(results);
       }
@@ -130,13 +264,27 @@ function createServer(router, config) {
         });
       }
 
+      // Check the API key's allowed methods and quotas
+      const refusal = client && apiKeys.checkRequest(client, req.body);
+      if (refusal) {
+        if (refusal.error.data?.retryAfter) {
+          res.set('Retry-After', String(refusal.error.data.retryAfter));
+        }
+        return res.status(200).json(refusal);
+      }
+
       // Route request through the router (holds connection until response)
-      const result = await router.routeRequest(req.body);
+      const result = await router.routeRequest(req.body, context);
 
       // Forward the complete response from the RPC endpoint
       res.status(200).json(result);
 
     } catch (error) {
+      // Nobody is left to answer
+      if (error.code === 'REQUEST_CANCELLED') {
+        return;
+      }
+
       console.error('Request failed:', error.message);
 
       res.status(200).json({
@@ -148,32 +296,72 @@ function createServer(router, config) {
         id: req.body?.id || null
       });
     }
-  });
+  };
+}
 
-  // Error handling middleware
-  app.use(errorHandler);
+/**
+ * Parse the from, to and granularity query parameters of /stats and /stats/methods
+ * Times are ISO dates or epoch milliseconds; to defaults to now and from to one
+ * hour (minute granularity) or one day (hour granularity) before it
+ * Throws on invalid values
+ */
+function parseStatsRange(query) {
+  const granularity = query.granularity || 'hour';
+  if (!STATS_RANGE_DEFAULTS[granularity]) {
+    throw new Error(`granularity must be one of ${Object.keys(STATS_RANGE_DEFAULTS).join(', ')}`);
+  }
 
-  return app;
+  const to = query.to !== undefined ? parseTime(query.to, 'to') : new Date();
+  const from = query.from !== undefined
+    ? parseTime(query.from, 'from')
+    : new Date(to.getTime() - STATS_RANGE_DEFAULTS[granularity]);
+
+  if (from > to) {
+    throw new Error('from must not be after to');
+  }
+
+  return { from, to, granularity };
+}
+
+/**
+ * Parse an ISO date or epoch milliseconds
+ */
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (typeof value !== 'string' || isNaN(time.getTime())) {
+    throw new Error(`${name} must be an ISO date or epoch milliseconds`);
+  }
+  return time;
 }
 
 /**
  * Start the server
  */
-function startServer(router, config) {
-  const app = createServer(router, config);
+function startServer(chainManager, config, apiKeys) {
+  const app = createServer(chainManager, config, apiKeys);
+  const chains = chainManager.getChains();
 
   const server = app.listen(config.server.port, config.server.host, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║  Ethereum RPC Distributor                                 ║
 ║  Server listening on ${config.server.host}:${config.server.port.toString().padEnd(28)} ║
-║  Endpoints: ${config.endpoints.length.toString().padEnd(48)} ║
+║  Chains: ${chains.length.toString().padEnd(51)} ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
-    console.log('Configured endpoints:');
-    config.endpoints.forEach((endpoint, i) => {
-      console.log(`  ${i + 1}. ${endpoint}`);
+    chains.forEach(chain => {
+      const chainId = chain.chainId !== null ? ` (chain id ${chain.chainId})` : '';
+      console.log(`Chain ${chain.name} at POST ${chain.path}${chainId}:`);
+      chain.workerPool.getAllWorkers().forEach((worker, i) => {
+        console.log(`  ${i + 1}. ${worker.name}`);
+      });
     });
+    if (config.admin.token) {
+      console.log('Admin API enabled at /admin');
+    }
+    if (config.apiKeys.enabled) {
+      console.log(`API keys required (${Object.keys(config.apiKeys.keys).length} configured)`);
+    }
     console.log('');
   });
 
@@ -7,6 +7,13 @@ const WORKER_STATES = {
   ERROR: 'ERROR'
 };
 
+// Circuit breaker states (an open or half-open circuit puts the worker in ERROR)
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
 const HTTP_STATUS = {
   TOO_MANY_REQUESTS: 429,
   SERVICE_UNAVAILABLE: 503,
@@ -22,8 +29,81 @@ const RATE_LIMIT_KEYWORDS = [
   'too many'
 ];
 
+// JSON-RPC error codes returned by the distributor itself
+const RPC_ERRORS = {
+  METHOD_NOT_ALLOWED: -32601, // Reported like an unknown method
+  NO_MATCHING_ENDPOINT: -32004, // EIP-1474 "Method not supported"
+  LIMIT_EXCEEDED: -32005, // EIP-1474 "Limit exceeded"
+  QUORUM_NOT_REACHED: -32006, // Endpoints disagreed or too few answered in quorum mode
+  DEADLINE_EXCEEDED: -32007 // No endpoint served the request within its hold time
+};
+
+// Errors meaning the endpoint already has the transaction (counts as accepted when broadcasting)
+const ALREADY_KNOWN_PATTERN = /already known|known transaction|already imported|already exists|already in (the )?(mempool|pool)|alreadyknown/i;
+
+// Errors meaning an endpoint refused a batch for its size (checked before rate limit detection)
+const BATCH_TOO_LARGE_PATTERN = /batch.*(too large|too big|too many|limit|exceed|maximum)|(too many|maximum( number of)?) (requests|calls|items).*batch/i;
+
+// Transport errors meaning the endpoint can't be reached at all (never treated as rate limiting)
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Block tags that resolve relative to the chain head
+const HEAD_BLOCK_TAGS = ['latest', 'pending', 'safe', 'finalized'];
+
+// Position of the block number/tag parameter for methods that take one
+const BLOCK_PARAM_INDEX = {
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getTransactionCount: 1,
+  eth_getStorageAt: 2,
+  eth_call: 1,
+  eth_estimateGas: 1,
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getUncleCountByBlockNumber: 0,
+  eth_getTransactionByBlockNumberAndIndex: 0,
+  eth_getBlockReceipts: 0,
+  eth_getProof: 2,
+  debug_traceBlockByNumber: 0,
+  debug_traceCall: 1,
+  trace_block: 0,
+  trace_call: 2
+};
+
+// Standard JSON-RPC methods reported by name in metrics and statistics; others count as 'other'
+const KNOWN_METHODS = [
+  'eth_accounts', 'eth_blobBaseFee', 'eth_blockNumber', 'eth_call', 'eth_callMany', 'eth_chainId',
+  'eth_coinbase', 'eth_createAccessList', 'eth_estimateGas', 'eth_feeHistory', 'eth_gasPrice',
+  'eth_getBalance', 'eth_getBlockByHash', 'eth_getBlockByNumber', 'eth_getBlockReceipts',
+  'eth_getBlockTransactionCountByHash', 'eth_getBlockTransactionCountByNumber', 'eth_getCode',
+  'eth_getFilterChanges', 'eth_getFilterLogs', 'eth_getLogs', 'eth_getProof', 'eth_getStorageAt',
+  'eth_getTransactionByBlockHashAndIndex', 'eth_getTransactionByBlockNumberAndIndex',
+  'eth_getTransactionByHash', 'eth_getTransactionCount', 'eth_getTransactionReceipt',
+  'eth_getUncleByBlockHashAndIndex', 'eth_getUncleByBlockNumberAndIndex', 'eth_getUncleCountByBlockHash',
+  'eth_getUncleCountByBlockNumber', 'eth_hashrate', 'eth_maxPriorityFeePerGas', 'eth_mining',
+  'eth_newBlockFilter', 'eth_newFilter', 'eth_newPendingTransactionFilter', 'eth_protocolVersion',
+  'eth_sendRawTransaction', 'eth_sendRawTransactionConditional', 'eth_sendTransaction', 'eth_sign',
+  'eth_signTransaction', 'eth_simulateV1', 'eth_subscribe', 'eth_syncing', 'eth_uninstallFilter',
+  'eth_unsubscribe',
+  'net_listening', 'net_peerCount', 'net_version', 'web3_clientVersion', 'web3_sha3',
+  'debug_getBadBlocks', 'debug_getRawBlock', 'debug_getRawHeader', 'debug_getRawReceipts',
+  'debug_getRawTransaction', 'debug_storageRangeAt', 'debug_traceBlock', 'debug_traceBlockByHash',
+  'debug_traceBlockByNumber', 'debug_traceCall', 'debug_traceTransaction',
+  'trace_block', 'trace_call', 'trace_callMany', 'trace_filter', 'trace_get', 'trace_rawTransaction',
+  'trace_replayBlockTransactions', 'trace_replayTransaction', 'trace_transaction',
+  'txpool_content', 'txpool_contentFrom', 'txpool_inspect', 'txpool_status'
+];
+
 module.exports = {
   WORKER_STATES,
+  CIRCUIT_STATES,
   HTTP_STATUS,
-  RATE_LIMIT_KEYWORDS
+  RATE_LIMIT_KEYWORDS,
+  RPC_ERRORS,
+  ALREADY_KNOWN_PATTERN,
+  BATCH_TOO_LARGE_PATTERN,
+  CONNECTION_ERROR_CODES,
+  HEAD_BLOCK_TAGS,
+  BLOCK_PARAM_INDEX,
+  KNOWN_METHODS
 };
@@ -0,0 +1,205 @@
+// Prometheus metrics, updated in-process as requests flow through workers and routers
+
+const client = require('prom-client');
+const { WORKER_STATES } = require('./constants');
+
+const PREFIX = 'rpc_distributor_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Worker pools whose live state is reported on each scrape
+const workerPools = new Set();
+
+const upstreamRequests = new client.Counter({
+  name: `${PREFIX}upstream_requests_total`,
+  help: 'Upstream requests by endpoint, method and outcome',
+  labelNames: ['chain', 'endpoint', 'method', 'outcome'],
+  registers: [register]
+});
+
+const upstreamLatency = new client.Histogram({
+  name: `${PREFIX}upstream_request_duration_seconds`,
+  help: 'Upstream request latency',
+  labelNames: ['chain', 'endpoint', 'method'],
+  buckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const rateLimitEvents = new client.Counter({
+  name: `${PREFIX}rate_limit_events_total`,
+  help: 'Rate limit detections that put an endpoint into cooldown',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register]
+});
+
+const routedRequests = new client.Counter({
+  name: `${PREFIX}routed_requests_total`,
+  help: 'Client requests handled by the router, by how they were answered',
+  labelNames: ['chain', 'method', 'source'],
+  registers: [register]
+});
+
+const failovers = new client.Counter({
+  name: `${PREFIX}failovers_total`,
+  help: 'Requests retried on another endpoint after a failure',
+  labelNames: ['chain', 'endpoint', 'reason'],
+  registers: [register]
+});
+
+const routingFailures = new client.Counter({
+  name: `${PREFIX}routing_failures_total`,
+  help: 'Requests that failed on every endpoint or had no eligible endpoint',
+  labelNames: ['chain', 'method', 'reason'],
+  registers: [register]
+});
+
+const holdWaits = new client.Counter({
+  name: `${PREFIX}hold_waits_total`,
+  help: 'Times a request waited because every eligible endpoint was cooling down',
+  labelNames: ['chain'],
+  registers: [register]
+});
+
+const quorumRequests = new client.Counter({
+  name: `${PREFIX}quorum_requests_total`,
+  help: 'Quorum requests by outcome (agreed, not_reached, unavailable)',
+  labelNames: ['chain', 'method', 'outcome'],
+  registers: [register]
+});
+
+const quorumDisagreements = new client.Counter({
+  name: `${PREFIX}quorum_disagreements_total`,
+  help: 'Quorum answers from an endpoint that disagreed with the other endpoints',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register]
+});
+
+const broadcasts = new client.Counter({
+  name: `${PREFIX}tx_broadcasts_total`,
+  help: 'Raw transaction broadcasts by endpoint and outcome',
+  labelNames: ['chain', 'endpoint', 'outcome'],
+  registers: [register]
+});
+
+const computeUnits = new client.Counter({
+  name: `${PREFIX}compute_units_total`,
+  help: 'Compute units spent on metered endpoints',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register]
+});
+
+const circuitTransitions = new client.Counter({
+  name: `${PREFIX}circuit_transitions_total`,
+  help: 'Circuit breaker transitions by the state entered (open, half-open, closed)',
+  labelNames: ['chain', 'endpoint', 'state'],
+  registers: [register]
+});
+
+const statisticsDroppedWrites = new client.Counter({
+  name: `${PREFIX}statistics_dropped_writes_total`,
+  help: 'Buffered statistics writes dropped because the write buffer was full',
+  registers: [register]
+});
+
+const configReloads = new client.Counter({
+  name: `${PREFIX}config_reloads_total`,
+  help: 'Configuration reloads by result (applied, unchanged, failed)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: `${PREFIX}worker_state`,
+  help: 'Current worker state (1 for the active state)',
+  labelNames: ['chain', 'endpoint', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    forEachWorker((chain, worker) => {
+      Object.values(WORKER_STATES).forEach(state => {
+        this.set({ chain, endpoint: worker.name, state }, worker.state === state ? 1 : 0);
+      });
+    });
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}worker_queue_depth`,
+  help: 'Requests waiting in the worker queue',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register],
+  collect() {
+    this.reset();
+    forEachWorker((chain, worker) => this.set({ chain, endpoint: worker.name }, worker.getQueueLength()));
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}worker_in_flight`,
+  help: 'Requests currently in flight to the endpoint',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register],
+  collect() {
+    this.reset();
+    forEachWorker((chain, worker) => this.set({ chain, endpoint: worker.name }, worker.inFlight));
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}worker_cooldown_seconds_remaining`,
+  help: 'Seconds until the endpoint leaves cooldown',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register],
+  collect() {
+    this.reset();
+    forEachWorker((chain, worker) => this.set({ chain, endpoint: worker.name }, worker.getRecoveryTime() / 1000));
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}worker_head_block`,
+  help: 'Last known head block of the endpoint',
+  labelNames: ['chain', 'endpoint'],
+  registers: [register],
+  collect() {
+    this.reset();
+    forEachWorker((chain, worker) => {
+      if (worker.headBlock !== null) {
+        this.set({ chain, endpoint: worker.name }, worker.headBlock);
+      }
+    });
+  }
+});
+
+/**
+ * Report a worker pool's live worker state on each scrape
+ */
+function trackWorkerPool(workerPool) {
+  workerPools.add(workerPool);
+}
+
+function forEachWorker(fn) {
+  workerPools.forEach(pool => {
+    pool.getAllWorkers().forEach(worker => fn(pool.chain.name, worker));
+  });
+}
+
+module.exports = {
+  register,
+  trackWorkerPool,
+  upstreamRequests,
+  upstreamLatency,
+  rateLimitEvents,
+  routedRequests,
+  failovers,
+  routingFailures,
+  holdWaits,
+  quorumRequests,
+  quorumDisagreements,
+  broadcasts,
+  circuitTransitions,
+  computeUnits,
+  statisticsDroppedWrites,
+  configReloads
+};
@@ -0,0 +1,345 @@
+// JSON-RPC helpers shared by the router and workers
+
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes } = require('@noble/hashes/utils');
+const { HEAD_BLOCK_TAGS, BLOCK_PARAM_INDEX, KNOWN_METHODS } = require('./constants');
+
+const KNOWN_METHOD_SET = new Set(KNOWN_METHODS);
+
+/**
+ * Parse a hex quantity ("0x1a") into a number
+ * Returns null for anything that isn't a hex quantity
+ */
+function parseQuantity(value) {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value, 16);
+}
+
+/**
+ * Build a JSON-RPC error response
+ */
+function createErrorResponse(id, code, message, data = undefined) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: '2.0',
+    error,
+    id: id === undefined ? null : id
+  };
+}
+
+/**
+ * Validate the shape of a single JSON-RPC request
+ * Returns an error response, or null if the request is valid
+ */
+function validateRequest(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return createErrorResponse(null, -32600, 'Invalid Request');
+  }
+
+  if (!request.jsonrpc) {
+    return createErrorResponse(request.id || null, -32600, 'Invalid Request: missing jsonrpc field');
+  }
+
+  if (!request.method) {
+    return createErrorResponse(request.id || null, -32600, 'Invalid Request: missing method field');
+  }
+
+  return null;
+}
+
+/**
+ * Build a key identifying a request by method and params (id is ignored)
+ */
+function getRequestKey(rpcRequest) {
+  return `${rpcRequest.method}:${JSON.stringify(rpcRequest.params || [])}`;
+}
+
+/**
+ * Get the name a method is counted under in metrics and in-memory statistics
+ * Methods a client made up share 'other', so they can't grow label sets without bound
+ */
+function getMethodLabel(method) {
+  return KNOWN_METHOD_SET.has(method) ? method : 'other';
+}
+
+/**
+ * Check if a method matches a pattern with optional * wildcards (e.g. "debug_*")
+ */
+function matchesMethod(pattern, method) {
+  if (!pattern.includes('*')) {
+    return pattern === method;
+  }
+
+  const regex = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+  return regex.test(method);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the block number/tag parameter of a request
+ * Returns undefined if the method doesn't take one, 'latest' if it was omitted
+ */
+function getBlockParam(method, params) {
+  const index = BLOCK_PARAM_INDEX[method];
+  if (index === undefined) {
+    return undefined;
+  }
+
+  const value = Array.isArray(params) ? params[index] : undefined;
+
+  // EIP-1898 block object: { blockNumber } or { blockHash }
+  if (value && typeof value === 'object') {
+    return value.blockNumber || value.blockHash;
+  }
+
+  return value === undefined || value === null ? 'latest' : value;
+}
+
+/**
+ * Get how many blocks behind the head a request's block parameter is
+ * Returns null if the method takes no block parameter, refers to the head or the head is unknown
+ */
+function getBlockAge(rpcRequest, headBlock) {
+  const blockParam = getBlockParam(rpcRequest.method, rpcRequest.params);
+
+  if (blockParam === 'earliest') {
+    return Infinity;
+  }
+
+  const blockNumber = parseQuantity(blockParam);
+  if (blockNumber === null || headBlock === null) {
+    return null;
+  }
+
+  return headBlock - blockNumber;
+}
+
+/**
+ * Get the block range an eth_getLogs request spans
+ * Returns null if the range can't be determined (e.g. blockHash filter, unknown head)
+ */
+function getLogsRange(params, headBlock) {
+  const filter = Array.isArray(params) ? params[0] : null;
+  if (!filter || typeof filter !== 'object' || filter.blockHash) {
+    return null;
+  }
+
+  const resolve = (value) => {
+    if (value === undefined || HEAD_BLOCK_TAGS.includes(value)) {
+      return headBlock;
+    }
+    if (value === 'earliest') {
+      return 0;
+    }
+    return parseQuantity(value);
+  };
+
+  const fromBlock = resolve(filter.fromBlock);
+  const toBlock = resolve(filter.toBlock);
+
+  if (fromBlock === null || toBlock === null) {
+    return null;
+  }
+
+  return Math.max(0, toBlock - fromBlock + 1);
+}
+
+/**
+ * Check whether a request's answer depends on which block the node considers the head
+ */
+function isHeadSensitive(method, params, headSensitiveMethods) {
+  if (!headSensitiveMethods.includes(method)) {
+    return false;
+  }
+
+  const blockParam = getBlockParam(method, params);
+
+  // Methods without a block parameter (eth_blockNumber, eth_gasPrice, ...)
+  if (blockParam === undefined) {
+    return true;
+  }
+
+  return HEAD_BLOCK_TAGS.includes(blockParam);
+}
+
+/**
+ * Extract the head block number implied by a successful response, if any
+ */
+function extractHeadBlock(rpcRequest, responseData) {
+  if (!responseData || responseData.error || responseData.result === undefined) {
+    return null;
+  }
+
+  const { method, params } = rpcRequest;
+
+  if (method === 'eth_blockNumber') {
+    return parseQuantity(responseData.result);
+  }
+
+  if (method === 'eth_getBlockByNumber' && getBlockParam(method, params) === 'latest') {
+    return parseQuantity(responseData.result?.number);
+  }
+
+  return null;
+}
+
+/**
+ * Serialize a value to a canonical JSON form for comparing answers from different endpoints
+ * Object keys are sorted and hex strings lowercased
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  if (typeof value === 'string' && /^0x[0-9a-fA-F]*$/.test(value)) {
+    return JSON.stringify(value.toLowerCase());
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Get the key under which quorum answers are compared: the canonical form of the
+ * result, or of the error code and message
+ */
+function getQuorumKey(response) {
+  return canonicalJson(response.error
+    ? { error: { code: response.error.code, message: response.error.message } }
+    : response.result);
+}
+
+/**
+ * Group quorum answers ({ key, ... }) by key
+ * Returns the group sizes, largest first, and the dissenting answers: those outside the
+ * largest group, or every answer if the largest groups tie (none if all answers agree)
+ */
+function groupQuorumAnswers(answers) {
+  const groups = new Map(); // key -> answers
+  answers.forEach(answer => {
+    groups.set(answer.key, [...(groups.get(answer.key) || []), answer]);
+  });
+
+  const sizes = [...groups.values()].map(group => group.length).sort((a, b) => b - a);
+  const largest = [...groups.values()].find(group => group.length === sizes[0]) || [];
+  const dissenters = sizes.length > 1 && sizes[0] === sizes[1]
+    ? answers
+    : answers.filter(answer => !largest.includes(answer));
+
+  return { sizes, dissenters };
+}
+
+/**
+ * Parse a quorum request header
+ * "on"/"true"/"1" uses the configured size and threshold, "M/N" requires M of N endpoints to agree,
+ * "off"/"false"/"0" disables quorum for methods configured to use it
+ * Returns undefined when the header is absent, throws if it is malformed
+ */
+function parseQuorumHeader(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['on', 'true', '1'].includes(normalized)) {
+    return {};
+  }
+  if (['off', 'false', '0'].includes(normalized)) {
+    return false;
+  }
+
+  const match = normalized.match(/^(\d+)\/(\d+)$/);
+  if (match) {
+    const threshold = parseInt(match[1], 10);
+    const size = parseInt(match[2], 10);
+    if (threshold >= 1 && threshold <= size) {
+      return { threshold, size };
+    }
+  }
+
+  throw new Error(`Invalid quorum header "${value}" (expected on, off or M/N with 1 <= M <= N)`);
+}
+
+/**
+ * Parse the priority request header
+ * Returns undefined when the header is absent; throws for an unknown priority class
+ */
+function parsePriorityHeader(value, classes) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const priority = String(value).trim();
+  if (!classes.includes(priority)) {
+    throw new Error(`Invalid priority header "${value}" (expected one of ${classes.join(', ')})`);
+  }
+
+  return priority;
+}
+
+/**
+ * Parse the deadline request header (milliseconds the client is willing to wait)
+ * Returns undefined when the header is absent; throws unless it is a positive integer
+ */
+function parseDeadlineHeader(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const ms = Number(String(value).trim());
+  if (!Number.isInteger(ms) || ms <= 0) {
+    throw new Error(`Invalid deadline header "${value}" (expected milliseconds as a positive integer)`);
+  }
+
+  return ms;
+}
+
+/**
+ * Compute the hash of a signed raw transaction (keccak256 of its bytes)
+ * Returns null if the input isn't a hex string
+ */
+function computeTxHash(rawTx) {
+  if (typeof rawTx !== 'string' || !/^0x([0-9a-fA-F]{2})+$/.test(rawTx)) {
+    return null;
+  }
+  return '0x' + bytesToHex(keccak_256(hexToBytes(rawTx.slice(2))));
+}
+
+module.exports = {
+  createErrorResponse,
+  validateRequest,
+  parseQuantity,
+  getRequestKey,
+  getMethodLabel,
+  matchesMethod,
+  getBlockParam,
+  getBlockAge,
+  getLogsRange,
+  isHeadSensitive,
+  extractHeadBlock,
+  canonicalJson,
+  getQuorumKey,
+  groupQuorumAnswers,
+  parseQuorumHeader,
+  parsePriorityHeader,
+  parseDeadlineHeader,
+  computeTxHash
+};
@@ -0,0 +1,142 @@
+const { WebSocketServer } = require('ws');
+const { createErrorResponse, validateRequest, parseQuorumHeader, parsePriorityHeader, parseDeadlineHeader } = require('./utils/rpc');
+
+/**
+ * Attach a JSON-RPC WebSocket listener to the HTTP server (same port, same path per chain)
+ * Regular calls go through the chain's RequestRouter; eth_subscribe is served by its SubscriptionManager
+ */
+function attachWebSocketServer(httpServer, chainManager, config, apiKeys) {
+  const wss = new WebSocketServer({ server: httpServer });
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const resolved = chainManager.resolvePath(url.pathname);
+
+    if (!resolved) {
+      socket.close(1008, `No chain served at ${url.pathname}`);
+      return;
+    }
+
+    const { chain } = resolved;
+
+    // API key from the path segment, upgrade request header or query parameter
+    let apiClient = null;
+    if (apiKeys.isEnabled()) {
+      apiClient = apiKeys.authenticate(apiKeys.extractKey({
+        params: { apiKey: resolved.apiKey },
+        headers: req.headers,
+        query: Object.fromEntries(url.searchParams)
+      }));
+      if (!apiClient) {
+        socket.close(1008, 'Missing or unknown API key');
+        return;
+      }
+    }
+
+    // Routing options from the upgrade request headers apply to every call on the connection
+    let context;
+    try {
+      context = {
+        quorum: parseQuorumHeader(req.headers[config.quorum.header]),
+        priority: parsePriorityHeader(req.headers[config.priority.header], config.priority.classes) || apiClient?.settings.priority,
+        deadlineMs: parseDeadlineHeader(req.headers[config.routing.deadlineHeader])
+      };
+    } catch (error) {
+      socket.close(1008, error.message.slice(0, 120));
+      return;
+    }
+
+    // Queued calls are dropped when the connection closes
+    const controller = new AbortController();
+    context.signal = controller.signal;
+
+    const { router, subscriptions } = chain;
+    const handle = (request) => handleMessage(request, client, router, subscriptions, context, apiKeys, apiClient);
+    console.log(`WebSocket connected from ${req.socket.remoteAddress} (${chain.name})`);
+
+    // Client handle used by the SubscriptionManager for notifications
+    const client = {
+      send: (message) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      }
+    };
+
+    socket.on('message', async (data) => {
+      let body;
+      try {
+        body = JSON.parse(data.toString());
+      } catch (error) {
+        client.send(createErrorResponse(null, -32700, 'Parse error'));
+        return;
+      }
+
+      if (Array.isArray(body)) {
+        const results = await Promise.all(body.map(handle));
+        client.send(results);
+        return;
+      }
+
+      client.send(await handle(body));
+    });
+
+    socket.on('close', () => {
+      controller.abort();
+      subscriptions.removeClient(client);
+      console.log('WebSocket disconnected');
+    });
+
+    socket.on('error', (error) => {
+      console.error('WebSocket error:', error.message);
+    });
+  });
+
+  console.log(`WebSocket listener attached (poll interval: ${config.websocket.pollInterval}ms)`);
+
+  return wss;
+}
+
+/**
+ * Handle a single JSON-RPC message from a WebSocket client
+ */
+async function handleMessage(request, client, router, subscriptions, context, apiKeys, apiClient) {
+  const invalid = validateRequest(request);
+  if (invalid) {
+    return invalid;
+  }
+
+  const refusal = apiClient && apiKeys.checkRequest(apiClient, request);
+  if (refusal) {
+    return refusal;
+  }
+
+  try {
+    if (request.method === 'eth_subscribe') {
+      const [type, filter] = request.params || [];
+      try {
+        const subscriptionId = subscriptions.subscribe(client, type, filter);
+        return { jsonrpc: '2.0', result: subscriptionId, id: request.id };
+      } catch (error) {
+        if (error.code !== 'INVALID_PARAMS') {
+          throw error;
+        }
+        return createErrorResponse(request.id, -32602, error.message);
+      }
+    }
+
+    if (request.method === 'eth_unsubscribe') {
+      const [subscriptionId] = request.params || [];
+      return { jsonrpc: '2.0', result: subscriptions.unsubscribe(client, subscriptionId), id: request.id };
+    }
+
+    return await router.routeRequest(request, context);
+  } catch (error) {
+    console.error('WebSocket request failed:', error.message);
+    return createErrorResponse(request.id, -32603, `Internal error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  attachWebSocketServer
+};
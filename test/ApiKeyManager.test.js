@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ApiKeyManager = require('../src/core/ApiKeyManager');
+const { RPC_ERRORS } = require('../src/utils/constants');
+
+function createManager(keys, usage = []) {
+  const config = {
+    apiKeys: { enabled: true, header: 'x-api-key', queryParam: 'apiKey', keys }
+  };
+  const recorded = [];
+  const statsRepo = {
+    ensureApiKey: () => 1,
+    getApiKeyUsage: () => usage,
+    recordApiKeyUsage: (id, day, method, rejected) => recorded.push({ method, rejected })
+  };
+  return { manager: new ApiKeyManager(config, statsRepo), config, recorded };
+}
+
+const call = (method, id = 1) => ({ jsonrpc: '2.0', id, method, params: [] });
+
+test('finds the key in the path, then the header, then the query parameter', () => {
+  const { manager } = createManager({});
+
+  assert.strictEqual(manager.extractKey({ params: { apiKey: 'path' }, headers: { 'x-api-key': 'header' }, query: {} }), 'path');
+  assert.strictEqual(manager.extractKey({ params: {}, headers: { 'x-api-key': 'header' }, query: { apiKey: 'query' } }), 'header');
+  assert.strictEqual(manager.extractKey({ params: {}, headers: {}, query: { apiKey: 'query' } }), 'query');
+  assert.strictEqual(manager.extractKey({ params: {}, headers: {}, query: {} }), null);
+});
+
+test('authenticates configured keys only', () => {
+  const { manager } = createManager({ secret: { name: 'dapp' } });
+
+  assert.strictEqual(manager.authenticate('secret').name, 'dapp');
+  assert.strictEqual(manager.authenticate('other'), null);
+  assert.strictEqual(manager.authenticate(null), null);
+});
+
+test('does not authenticate names inherited from Object.prototype', () => {
+  const { manager } = createManager({ secret: { name: 'dapp' } });
+
+  for (const key of ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf']) {
+    assert.strictEqual(manager.authenticate(key), null, key);
+  }
+});
+
+test('refuses methods outside the allow-list', () => {
+  const { manager, recorded } = createManager({ secret: { allowedMethods: ['eth_call', 'eth_get*'] } });
+  const client = manager.authenticate('secret');
+
+  assert.strictEqual(manager.checkRequest(client, call('eth_getBalance')), null);
+  const refusal = manager.checkRequest(client, call('debug_traceTransaction', 7));
+
+  assert.strictEqual(refusal.id, 7);
+  assert.strictEqual(refusal.error.code, RPC_ERRORS.METHOD_NOT_ALLOWED);
+  assert.deepStrictEqual(recorded, [
+    { method: 'eth_getBalance', rejected: false },
+    { method: 'debug_traceTransaction', rejected: true }
+  ]);
+});
+
+test('enforces the daily quota, counting stored usage', () => {
+  const { manager } = createManager({ secret: { dailyQuota: 3 } }, [{ method: 'eth_call', requests: 2, rejected: 0 }]);
+  const client = manager.authenticate('secret');
+
+  assert.strictEqual(manager.checkRequest(client, call('eth_call')), null);
+  const refusal = manager.checkRequest(client, call('eth_call'));
+
+  assert.strictEqual(refusal.error.code, RPC_ERRORS.LIMIT_EXCEEDED);
+  assert.strictEqual(refusal.error.data.limit, 'daily');
+  assert.ok(refusal.error.data.retryAfter > 0);
+  assert.strictEqual(client.requests, 3);
+  assert.strictEqual(client.rejected, 1);
+});
+
+test('enforces the request rate', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const { manager } = createManager({ secret: { requestsPerSecond: 2 } });
+  const client = manager.authenticate('secret');
+
+  assert.strictEqual(manager.checkRequest(client, call('eth_call')), null);
+  assert.strictEqual(manager.checkRequest(client, call('eth_call')), null);
+  const refusal = manager.checkRequest(client, call('eth_call'));
+  assert.strictEqual(refusal.error.data.limit, 'rate');
+  assert.strictEqual(refusal.error.data.retryAfter, 1);
+
+  now += 500;
+  assert.strictEqual(manager.checkRequest(client, call('eth_call')), null);
+});
+
+test('picks up reloaded key settings', () => {
+  const { manager, config } = createManager({ secret: { name: 'dapp' } });
+  manager.authenticate('secret');
+
+  config.apiKeys.keys = { secret: { name: 'renamed', requestsPerSecond: 5 } };
+  const client = manager.authenticate('secret');
+  assert.strictEqual(client.name, 'renamed');
+  assert.strictEqual(client.bucket.rate, 5);
+
+  config.apiKeys.keys = {};
+  assert.strictEqual(manager.authenticate('secret'), null);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ChainManager = require('../src/core/ChainManager');
+
+function createManager(paths, apiKeysEnabled = true) {
+  const manager = new ChainManager({ apiKeys: { enabled: apiKeysEnabled } }, null);
+  Object.entries(paths).forEach(([name, path]) => manager.chains.set(name, { name, path }));
+  return manager;
+}
+
+test('finds a chain by the path it is served at', () => {
+  const manager = createManager({ mainnet: '/', polygon: '/polygon', base: '/l2/base' });
+
+  assert.strictEqual(manager.getChainByPath('/').name, 'mainnet');
+  assert.strictEqual(manager.getChainByPath('/polygon').name, 'polygon');
+  assert.strictEqual(manager.getChainByPath('/l2/base').name, 'base');
+  assert.strictEqual(manager.getChainByPath('/l2'), null);
+  assert.strictEqual(manager.getChainByPath('/arbitrum'), null);
+});
+
+test('resolves a chain path, with or without a trailing API key', () => {
+  const manager = createManager({ mainnet: '/', polygon: '/polygon' });
+
+  assert.deepStrictEqual(manager.resolvePath('/polygon'), { chain: manager.chains.get('polygon'), apiKey: null });
+  assert.deepStrictEqual(manager.resolvePath('/polygon/secret'), { chain: manager.chains.get('polygon'), apiKey: 'secret' });
+  assert.deepStrictEqual(manager.resolvePath('/'), { chain: manager.chains.get('mainnet'), apiKey: null });
+  assert.deepStrictEqual(manager.resolvePath('/secret'), { chain: manager.chains.get('mainnet'), apiKey: 'secret' });
+});
+
+test('does not resolve unknown paths', () => {
+  const manager = createManager({ polygon: '/polygon' });
+
+  assert.strictEqual(manager.resolvePath('/arbitrum'), null);
+  assert.strictEqual(manager.resolvePath('/polygon/'), null);
+  assert.strictEqual(manager.resolvePath('/polygon/secret/extra'), null);
+});
+
+test('does not take a trailing segment as an API key while keys are disabled', () => {
+  const manager = createManager({ mainnet: '/', polygon: '/polygon' }, false);
+
+  assert.deepStrictEqual(manager.resolvePath('/polygon'), { chain: manager.chains.get('polygon'), apiKey: null });
+  assert.strictEqual(manager.resolvePath('/polygon/anything'), null);
+  assert.strictEqual(manager.resolvePath('/anything'), null);
+});
+
+test('restarts the statistics flush and pruning timers when their settings are reloaded', async () => {
+  const calls = [];
+  const statsRepo = {
+    stopFlushing: () => calls.push('stop flushing'),
+    startFlushing: () => calls.push('start flushing'),
+    pruneStatistics: () => {
+      calls.push('prune');
+      return {};
+    }
+  };
+  const manager = new ChainManager({ apiKeys: { enabled: false }, retention: { pruneInterval: 60000 } }, statsRepo);
+
+  await manager.applyConfig(['statistics.maxBufferSize', 'apiKeys.keys.secret']);
+  assert.deepStrictEqual(calls, []);
+
+  await manager.applyConfig(['statistics.flushInterval', 'retention.requestLogDays']);
+  assert.deepStrictEqual(calls, ['stop flushing', 'start flushing', 'prune']);
+
+  manager.stop();
+});
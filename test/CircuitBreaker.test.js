@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CircuitBreaker = require('../src/core/CircuitBreaker');
+const { CIRCUIT_STATES } = require('../src/utils/constants');
+
+function createBreaker(settings = {}) {
+  const config = {
+    circuitBreaker: {
+      enabled: true,
+      failureThreshold: 3,
+      failureRatio: 0.5,
+      windowSize: 10,
+      openMs: 1000,
+      halfOpenSuccesses: 2,
+      ...settings
+    }
+  };
+  const transitions = [];
+  const breaker = new CircuitBreaker(config, (from, to) => transitions.push(`${from}->${to}`));
+  return { breaker, config, transitions };
+}
+
+test('opens after consecutive failures', () => {
+  const { breaker, transitions } = createBreaker();
+
+  breaker.recordFailure('timeout');
+  breaker.recordFailure('timeout');
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+
+  breaker.recordFailure('timeout');
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+  assert.strictEqual(breaker.allowsRequest(), false);
+  assert.deepStrictEqual(transitions, ['closed->open']);
+});
+
+test('a success resets the consecutive failure count', () => {
+  const { breaker } = createBreaker();
+
+  breaker.recordFailure('timeout');
+  breaker.recordFailure('timeout');
+  breaker.recordSuccess();
+  breaker.recordFailure('timeout');
+  breaker.recordFailure('timeout');
+
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+});
+
+test('opens once the failure ratio over a full window is reached', () => {
+  const { breaker } = createBreaker({ failureThreshold: 100, windowSize: 4 });
+
+  breaker.recordFailure('HTTP 502');
+  breaker.recordSuccess();
+  breaker.recordFailure('HTTP 502');
+  assert.strictEqual(breaker.getFailureRatio(), null);
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+
+  breaker.recordSuccess();
+  breaker.recordFailure('HTTP 502');
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+});
+
+test('goes half-open after openMs and closes after enough successful probes', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const { breaker, transitions } = createBreaker({ failureThreshold: 1 });
+
+  breaker.recordFailure('timeout');
+  now += 999;
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+  now += 1;
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.HALF_OPEN);
+
+  // One probe at a time
+  assert.strictEqual(breaker.allowsRequest(), true);
+  assert.strictEqual(breaker.onDispatch(), true);
+  assert.strictEqual(breaker.allowsRequest(), false);
+
+  breaker.recordSuccess(true);
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.HALF_OPEN);
+  assert.strictEqual(breaker.onDispatch(), true);
+  breaker.recordSuccess(true);
+
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  assert.deepStrictEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+});
+
+test('a failed probe opens the circuit again', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const { breaker, transitions } = createBreaker({ failureThreshold: 1 });
+
+  breaker.recordFailure('timeout');
+  now += 1000;
+  assert.strictEqual(breaker.onDispatch(), true);
+  breaker.recordFailure('timeout', true);
+
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+  assert.deepStrictEqual(transitions, ['closed->open', 'open->half-open', 'half-open->open']);
+});
+
+test('failures of requests sent before the circuit opened do not decide the probe', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const { breaker } = createBreaker({ failureThreshold: 1 });
+
+  breaker.recordFailure('timeout');
+  now += 1000;
+  breaker.onDispatch();
+  breaker.recordFailure('late timeout');
+
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.HALF_OPEN);
+});
+
+test('disabling the breaker closes it and stops counting', () => {
+  const { breaker, config } = createBreaker({ failureThreshold: 1 });
+
+  breaker.recordFailure('timeout');
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+
+  config.circuitBreaker.enabled = false;
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  breaker.recordFailure('timeout');
+  assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+});
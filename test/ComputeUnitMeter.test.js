@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ComputeUnitMeter = require('../src/core/ComputeUnitMeter');
+
+function createMeter(settings, stored = {}) {
+  const config = {
+    computeUnits: {
+      deprioritizeAt: 0.8,
+      costTables: {
+        alchemy: { default: 10, methods: { eth_getLogs: 75, 'debug_*': 170, debug_traceCall: 300 } }
+      }
+    }
+  };
+  const recorded = [];
+  const statsRepo = {
+    getComputeUnits: (endpointId, period) => stored[period] || { units: 0, requests: 0 },
+    recordComputeUnits: (endpointId, day, month, units, requests) => recorded.push({ day, month, units, requests })
+  };
+  const meter = new ComputeUnitMeter(config, statsRepo, 1);
+  meter.configure(settings);
+  return { meter, recorded };
+}
+
+const call = method => ({ jsonrpc: '2.0', id: 1, method, params: [] });
+
+test('costs requests from a named table, exact names before patterns', () => {
+  const { meter } = createMeter({ costTable: 'alchemy' });
+
+  assert.strictEqual(meter.getCost(call('eth_getLogs')), 75);
+  assert.strictEqual(meter.getCost(call('debug_traceTransaction')), 170);
+  assert.strictEqual(meter.getCost(call('debug_traceCall')), 300);
+  assert.strictEqual(meter.getCost(call('eth_chainId')), 10);
+  assert.strictEqual(meter.getCost([call('eth_getLogs'), call('eth_chainId')]), 85);
+});
+
+test('costs one unit per request without a table', () => {
+  assert.strictEqual(createMeter({ costTable: { methods: { eth_call: 26 } } }).meter.getCost(call('eth_chainId')), 1);
+  assert.strictEqual(createMeter({ costTable: 'unknown' }).meter.getCost(call('eth_call')), 1);
+  assert.strictEqual(createMeter({}).meter.getCost(call('eth_call')), 1);
+});
+
+test('charges metered endpoints only', () => {
+  const { meter, recorded } = createMeter(undefined);
+
+  meter.charge(call('eth_call'));
+
+  assert.strictEqual(meter.isMetered(), false);
+  assert.strictEqual(meter.getState(), null);
+  assert.strictEqual(meter.getDeferChance(), 0);
+  assert.deepStrictEqual(recorded, []);
+});
+
+test('adds charges to the day and month totals, starting from stored usage', () => {
+  const now = new Date().toISOString();
+  const day = now.slice(0, 10);
+  const month = now.slice(0, 7);
+  const { meter, recorded } = createMeter(
+    { costTable: 'alchemy', dailyCap: 1000 },
+    { [day]: { units: 100, requests: 10 }, [month]: { units: 5000, requests: 300 } }
+  );
+
+  meter.charge([call('eth_getLogs'), call('eth_chainId')]);
+
+  assert.deepStrictEqual(meter.day, { period: day, units: 185, requests: 12 });
+  assert.deepStrictEqual(meter.month, { period: month, units: 5085, requests: 302 });
+  assert.deepStrictEqual(recorded, [{ day, month, units: 85, requests: 2 }]);
+});
+
+test('defers the endpoint more often nearing a cap and stops at the cap', () => {
+  const { meter } = createMeter({ dailyCap: 100, monthlyCap: 10000 });
+
+  for (let i = 0; i < 70; i++) {
+    meter.charge(call('eth_call'));
+  }
+  assert.strictEqual(meter.getState(), 'normal');
+  assert.strictEqual(meter.getDeferChance(), 0);
+
+  for (let i = 0; i < 20; i++) {
+    meter.charge(call('eth_call'));
+  }
+  assert.strictEqual(meter.getState(), 'deprioritized');
+  assert.ok(Math.abs(meter.getDeferChance() - 0.5) < 1e-9);
+  assert.strictEqual(meter.isExhausted(), false);
+
+  for (let i = 0; i < 10; i++) {
+    meter.charge(call('eth_call'));
+  }
+  assert.strictEqual(meter.getState(), 'exhausted');
+  assert.strictEqual(meter.getDeferChance(), 1);
+  assert.strictEqual(meter.isExhausted(), true);
+});
+
+test('the tighter cap decides', () => {
+  const month = new Date().toISOString().slice(0, 7);
+  const { meter } = createMeter({ dailyCap: 1000, monthlyCap: 2000 }, { [month]: { units: 1990, requests: 1990 } });
+
+  assert.strictEqual(meter.getState(), 'deprioritized');
+  for (let i = 0; i < 10; i++) {
+    meter.charge(call('eth_call'));
+  }
+  assert.strictEqual(meter.getState(), 'exhausted');
+
+  const usage = meter.getUsage();
+  assert.strictEqual(usage.month.exhausted, true);
+  assert.strictEqual(usage.day.exhausted, false);
+  assert.strictEqual(usage.day.units, 10);
+});
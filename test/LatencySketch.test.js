@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LatencySketch = require('../src/core/LatencySketch');
+
+function assertClose(actual, expected) {
+  // 2% relative accuracy, plus rounding to whole milliseconds
+  assert.ok(Math.abs(actual - expected) <= expected * 0.02 + 1, `${actual} is not within 2% of ${expected}`);
+}
+
+function sketchOf(values) {
+  const sketch = new LatencySketch();
+  values.forEach(value => sketch.add(value));
+  return sketch;
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('estimates percentiles within 2% of the true value', () => {
+  const sketch = sketchOf(range(1, 10000));
+
+  assert.strictEqual(sketch.count, 10000);
+  assertClose(sketch.getQuantile(0.5), 5000);
+  assertClose(sketch.getQuantile(0.9), 9000);
+  assertClose(sketch.getQuantile(0.99), 9900);
+  assertClose(sketch.getQuantile(1), 10000);
+});
+
+test('stays small however many values it holds', () => {
+  const sketch = sketchOf(range(1, 60000));
+  assert.ok(sketch.bins.size < 300, `${sketch.bins.size} bins`);
+});
+
+test('handles skewed distributions', () => {
+  const values = [...Array(95).fill(20), ...Array(5).fill(2000)];
+  const sketch = sketchOf(values);
+
+  assertClose(sketch.getQuantile(0.5), 20);
+  assertClose(sketch.getQuantile(0.95), 20);
+  assertClose(sketch.getQuantile(0.99), 2000);
+});
+
+test('counts latencies under 1ms as 0', () => {
+  const sketch = sketchOf([0, 0.4, 0.9, 50]);
+
+  assert.strictEqual(sketch.zeros, 3);
+  assert.strictEqual(sketch.getQuantile(0.5), 0);
+  assertClose(sketch.getQuantile(1), 50);
+});
+
+test('returns null when empty', () => {
+  assert.strictEqual(new LatencySketch().getQuantile(0.5), null);
+});
+
+test('merging gives the same estimates as one sketch of all values', () => {
+  const fast = range(1, 500);
+  const slow = range(800, 3000);
+  const merged = sketchOf(fast).merge(sketchOf(slow));
+  const combined = sketchOf([...fast, ...slow]);
+
+  assert.strictEqual(merged.count, combined.count);
+  [0.5, 0.9, 0.99].forEach(q => {
+    assert.strictEqual(merged.getQuantile(q), combined.getQuantile(q));
+  });
+});
+
+test('survives a round trip through JSON', () => {
+  const sketch = sketchOf([0, 3, 17, 17, 250, 4000]);
+  const restored = LatencySketch.fromJSON(JSON.stringify(sketch));
+  const fromObject = LatencySketch.fromJSON(sketch.toJSON());
+
+  assert.deepStrictEqual(restored.toJSON(), sketch.toJSON());
+  assert.deepStrictEqual(fromObject.toJSON(), sketch.toJSON());
+  assert.strictEqual(restored.getQuantile(0.5), sketch.getQuantile(0.5));
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimitDetector = require('../src/core/RateLimitDetector');
+
+function createDetector({ saved = null, history = [], rate = 0 } = {}) {
+  const config = {
+    rateLimit: {},
+    rateBudget: {
+      enabled: true,
+      lookbackMs: 10000,
+      decreaseFactor: 0.5,
+      increaseStep: 1,
+      increaseInterval: 60000,
+      minRequestsPerSecond: 0.2,
+      historyDays: 7
+    }
+  };
+  const stored = [];
+  const statsRepo = {
+    getRateBudget: () => saved,
+    getRatesBeforeRateLimits: () => history,
+    getRequestRate: () => rate,
+    saveRateBudget: (endpointId, budget) => stored.push(budget.requestsPerSecond)
+  };
+  return { detector: new RateLimitDetector(config, statsRepo), config, stored, statsRepo };
+}
+
+test('has no budget before the first rate limit', () => {
+  const { detector } = createDetector();
+
+  assert.strictEqual(detector.getBudget(1), null);
+  assert.strictEqual(detector.raiseBudget(1), null);
+});
+
+test('uses the saved budget', () => {
+  const saved = { requestsPerSecond: 12, loweredAt: null, updatedAt: null };
+  const { detector, stored } = createDetector({ saved });
+
+  assert.strictEqual(detector.getBudget(1), saved);
+  assert.deepStrictEqual(stored, []);
+});
+
+test('estimates a first budget below the median rate that ran into past limits', () => {
+  const { detector, stored } = createDetector({ history: [0, 30, 10, 20] });
+
+  assert.strictEqual(detector.getBudget(1).requestsPerSecond, 10);
+  assert.deepStrictEqual(stored, [10]);
+});
+
+test('a rate limit lowers the budget multiplicatively, once per overload', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const { detector, statsRepo } = createDetector({ rate: 40 });
+
+  assert.strictEqual(detector.lowerBudget(1).requestsPerSecond, 20);
+
+  // More limits from the same overload leave it alone
+  t.mock.timers.tick(5000);
+  assert.strictEqual(detector.lowerBudget(1).requestsPerSecond, 20);
+
+  // A later limit scales the lower of the budget and the observed rate
+  t.mock.timers.tick(10000);
+  assert.strictEqual(detector.lowerBudget(1).requestsPerSecond, 10);
+  statsRepo.getRequestRate = () => 6;
+  t.mock.timers.tick(10000);
+  assert.strictEqual(detector.lowerBudget(1).requestsPerSecond, 3);
+});
+
+test('never lowers the budget under minRequestsPerSecond', () => {
+  const { detector } = createDetector({ rate: 0.1 });
+
+  assert.strictEqual(detector.lowerBudget(1).requestsPerSecond, 0.2);
+});
+
+test('raises the budget additively after increaseInterval, up to the ceiling', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const { detector } = createDetector({ rate: 8 });
+
+  detector.lowerBudget(1);
+  assert.strictEqual(detector.getBudget(1).requestsPerSecond, 4);
+  assert.strictEqual(detector.raiseBudget(1), null);
+
+  t.mock.timers.tick(60000);
+  assert.strictEqual(detector.raiseBudget(1).requestsPerSecond, 5);
+  assert.strictEqual(detector.raiseBudget(1, 5.5).requestsPerSecond, 5.5);
+  assert.strictEqual(detector.raiseBudget(1, 5.5), null);
+});
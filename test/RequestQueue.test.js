@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RequestQueue = require('../src/core/RequestQueue');
+
+function createQueue(priority = {}) {
+  return new RequestQueue({
+    priority: { classes: ['high', 'normal', 'low'], agingMs: 0, maxQueueSize: {}, ...priority },
+    worker: { maxQueueSize: 100 }
+  });
+}
+
+let nextSeq = 0;
+function item(priority, enqueuedAt = Date.now()) {
+  return { priority, seq: nextSeq++, enqueuedAt };
+}
+
+function drainOrder(queue) {
+  const order = [];
+  let next;
+  while ((next = queue.shift()) !== undefined) {
+    order.push(next);
+  }
+  return order;
+}
+
+test('serves higher classes first and FIFO within a class', () => {
+  const queue = createQueue();
+  const low = item('low');
+  const normal1 = item('normal');
+  const high = item('high');
+  const normal2 = item('normal');
+  [low, normal1, high, normal2].forEach(queued => queue.push(queued));
+
+  assert.strictEqual(queue.length, 4);
+  assert.deepStrictEqual(drainOrder(queue), [high, normal1, normal2, low]);
+  assert.strictEqual(queue.length, 0);
+});
+
+test('re-queued items return to their original position', () => {
+  const queue = createQueue();
+  const first = item('normal');
+  const second = item('normal');
+  const third = item('normal');
+  [first, second, third].forEach(queued => queue.push(queued));
+
+  const shifted = queue.shift();
+  queue.push(shifted);
+
+  assert.deepStrictEqual(drainOrder(queue), [first, second, third]);
+});
+
+test('aging moves a waiting request up one class per agingMs', (t) => {
+  let now = 10000;
+  t.mock.method(Date, 'now', () => now);
+  const queue = createQueue({ agingMs: 1000 });
+
+  const low = item('low', now);
+  queue.push(low);
+  now += 1000;
+  const normal = item('normal', now);
+  const high = item('high', now);
+  queue.push(normal);
+  queue.push(high);
+
+  // One step up, low ties with normal and loses to the higher class
+  assert.strictEqual(queue.shift(), high);
+  assert.strictEqual(queue.shift(), normal);
+
+  queue.push(normal);
+  queue.push(high);
+  now += 1000;
+  // Two steps up, low ties with high: the higher class still wins the tie
+  assert.strictEqual(queue.shift(), high);
+  // normal has aged one step itself and ties with low at the top rank
+  assert.strictEqual(queue.shift(), normal);
+  assert.strictEqual(queue.shift(), low);
+});
+
+test('an old low priority request overtakes newer normal priority ones', (t) => {
+  let now = 10000;
+  t.mock.method(Date, 'now', () => now);
+  const queue = createQueue({ agingMs: 500 });
+
+  const low = item('low', now);
+  queue.push(low);
+  now += 1000;
+  const normal = item('normal', now);
+  queue.push(normal);
+
+  assert.strictEqual(queue.shift(), low);
+  assert.strictEqual(queue.shift(), normal);
+});
+
+test('unknown classes rank last', () => {
+  const queue = createQueue();
+  const removed = item('bulk');
+  const low = item('low');
+  queue.push(removed);
+  queue.push(low);
+
+  assert.deepStrictEqual(drainOrder(queue), [low, removed]);
+});
+
+test('remove takes out a queued item only once', () => {
+  const queue = createQueue();
+  const first = item('normal');
+  const second = item('normal');
+  queue.push(first);
+  queue.push(second);
+
+  assert.strictEqual(queue.remove(first), true);
+  assert.strictEqual(queue.remove(first), false);
+  assert.strictEqual(queue.length, 1);
+  assert.deepStrictEqual(drainOrder(queue), [second]);
+});
+
+test('size limits per class win over the endpoint and worker limits', () => {
+  const queue = createQueue({ maxQueueSize: { high: 1 } });
+  queue.maxQueueSize = 2;
+
+  queue.push(item('high'));
+  queue.push(item('normal'));
+  assert.strictEqual(queue.isFull('high'), true);
+  assert.strictEqual(queue.isFull('normal'), false);
+
+  queue.push(item('normal'));
+  assert.strictEqual(queue.isFull('normal'), true);
+  assert.deepStrictEqual(queue.getDepthByPriority(), { high: 1, normal: 2, low: 0 });
+});
+
+test('drain returns every item in sequence order', () => {
+  const queue = createQueue();
+  const items = [item('low'), item('high'), item('normal')];
+  items.forEach(queued => queue.push(queued));
+
+  assert.deepStrictEqual(queue.drain(), items);
+  assert.strictEqual(queue.length, 0);
+  assert.strictEqual(queue.shift(), undefined);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RoutingRules = require('../src/core/RoutingRules');
+
+const call = (method, params = []) => ({ jsonrpc: '2.0', id: 1, method, params });
+
+const rules = new RoutingRules([
+  { methods: ['debug_*', 'trace_*'], tags: ['trace'] },
+  { methods: ['eth_getBalance', 'eth_call'], minBlockAge: 128, tags: ['archive'] },
+  { methods: ['eth_*'], tags: ['full'] }
+]);
+
+test('matches methods by exact name and wildcard', () => {
+  assert.deepStrictEqual(rules.getRequiredTags(call('debug_traceTransaction'), 1000), ['trace']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('trace_block', ['0x1']), 1000), ['trace']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('net_version'), 1000), []);
+});
+
+test('the first matching rule wins', () => {
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_blockNumber'), 1000), ['full']);
+});
+
+test('block age rules apply to old blocks only', () => {
+  const head = 1000;
+
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc', '0x1']), head), ['archive']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc', 'earliest']), head), ['archive']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_call', [{}, { blockNumber: '0x360' }]), head), ['archive']);
+
+  // 100 blocks old, the head, and an omitted block parameter fall through to the next rule
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc', '0x384']), head), ['full']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc', 'latest']), head), ['full']);
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc']), head), ['full']);
+});
+
+test('block age rules do not apply while the head is unknown', () => {
+  assert.deepStrictEqual(rules.getRequiredTags(call('eth_getBalance', ['0xabc', '0x1']), null), ['full']);
+});
+
+test('no rules require no tags', () => {
+  assert.deepStrictEqual(new RoutingRules().getRequiredTags(call('debug_traceTransaction'), 1000), []);
+});
@@ -0,0 +1,178 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const initSqlJs = require('sql.js');
+const DatabaseManager = require('../src/database/database');
+const StatisticsRepository = require('../src/database/StatisticsRepository');
+
+async function createRepository(t, statistics = {}) {
+  t.mock.method(console, 'log', () => {});
+
+  const SQL = await initSqlJs();
+  const dbManager = new DatabaseManager({ path: 'unused.db' });
+  dbManager.db = new SQL.Database();
+  dbManager.runMigrations();
+  dbManager.saves = 0;
+  dbManager.save = () => dbManager.saves++;
+
+  const config = { statistics: { flushInterval: 1000, saveInterval: 5000, maxBufferSize: 100, maxFlushAttempts: 3, ...statistics } };
+  const repo = new StatisticsRepository(dbManager.db, dbManager, config);
+  const endpointId = repo.ensureEndpoint('http://a');
+  repo.persist();
+  dbManager.saves = 0;
+
+  return { repo, dbManager, endpointId };
+}
+
+function countRows(repo, table) {
+  return repo.db.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+}
+
+test('keeps one endpoint record per chain for a shared URL', async (t) => {
+  const { repo } = await createRepository(t);
+
+  const mainnet = repo.ensureEndpoint('http://shared', 'mainnet');
+  const polygon = repo.ensureEndpoint('http://shared', 'polygon');
+
+  assert.notStrictEqual(mainnet, polygon);
+  assert.strictEqual(repo.ensureEndpoint('http://shared', 'polygon'), polygon);
+  assert.strictEqual(repo.getEndpointId('http://shared', 'mainnet'), mainnet);
+  assert.strictEqual(repo.getEndpointRecord('http://shared', 'polygon').chain, 'polygon');
+  assert.strictEqual(repo.getEndpointRecord('http://shared', 'base'), null);
+  assert.throws(() => repo.db.run("INSERT INTO endpoints (url, chain) VALUES ('http://shared', 'mainnet')"), /UNIQUE/);
+});
+
+test('buffers request writes until the next flush', async (t) => {
+  const { repo, endpointId } = await createRepository(t);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 40);
+  repo.recordRequest(endpointId, 'eth_call', false, 60, 500, 'HTTP 500');
+  assert.strictEqual(countRows(repo, 'request_log'), 0);
+  assert.strictEqual(repo.getWriteBufferStatus().buffered, 2);
+
+  repo.flush();
+  assert.strictEqual(countRows(repo, 'request_log'), 2);
+  assert.strictEqual(repo.getWriteBufferStatus().buffered, 0);
+});
+
+test('queries see buffered writes', async (t) => {
+  const { repo, endpointId } = await createRepository(t);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 40);
+  repo.recordRequest(endpointId, 'eth_call', false, 60);
+  const stats = repo.getEndpointStatById(endpointId);
+
+  assert.strictEqual(stats.total_requests, 2);
+  assert.strictEqual(stats.successful_requests, 1);
+  assert.strictEqual(stats.failed_requests, 1);
+  assert.strictEqual(stats.avg_response_time_ms, 50);
+  assert.strictEqual(repo.getRecentRequests(endpointId).length, 2);
+});
+
+test('flushes early once the buffer is full', async (t) => {
+  const { repo, endpointId } = await createRepository(t, { maxBufferSize: 3 });
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  assert.strictEqual(countRows(repo, 'request_log'), 0);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  assert.strictEqual(countRows(repo, 'request_log'), 3);
+});
+
+test('saves the database file only when something changed', async (t) => {
+  const { repo, dbManager, endpointId } = await createRepository(t);
+
+  repo.persist();
+  assert.strictEqual(dbManager.saves, 0);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  assert.strictEqual(dbManager.saves, 0);
+
+  repo.persist();
+  assert.strictEqual(dbManager.saves, 1);
+  repo.persist();
+  assert.strictEqual(dbManager.saves, 1);
+});
+
+test('direct writes are saved with the next persist', async (t) => {
+  const { repo, dbManager, endpointId } = await createRepository(t);
+  t.mock.method(console, 'error', (...args) => assert.fail(args.join(' ')));
+
+  repo.ensureEndpoint('http://b', 'mainnet');
+  repo.setEndpointActive(endpointId, false);
+  repo.ensureApiKey('hash', 'dapp');
+  repo.saveCapabilities(endpointId, {
+    debug: true,
+    archiveDepth: null,
+    maxLogsRange: null,
+    headBlock: 100,
+    probedAt: new Date().toISOString()
+  });
+  repo.pruneStatistics({ requestLogDays: 7, minuteRollupDays: 2, hourRollupDays: 90 });
+  assert.strictEqual(dbManager.saves, 0);
+
+  repo.persist();
+  assert.strictEqual(dbManager.saves, 1);
+});
+
+test('sums a batch into the rollups', async (t) => {
+  const { repo, endpointId } = await createRepository(t);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordRequest(endpointId, 'eth_call', false, 30);
+  repo.recordRequest(endpointId, 'eth_getLogs', true, 200);
+  repo.flush();
+
+  const rows = repo.db.exec(
+    'SELECT method, requests, errors, latency_sum_ms, latency_min_ms, latency_max_ms FROM request_stats_minute ORDER BY method'
+  )[0].values;
+  assert.deepStrictEqual(rows, [
+    ['eth_call', 2, 1, 40, 10, 30],
+    ['eth_getLogs', 1, 0, 200, 200, 200]
+  ]);
+});
+
+test('drops a write that keeps failing after maxFlushAttempts and keeps the rest', async (t) => {
+  const { repo, endpointId } = await createRepository(t);
+  t.mock.method(console, 'error', () => {});
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordCircuitTransition(endpointId, null, 'open', 'poison'); // from_state is NOT NULL
+  repo.recordCircuitTransition(endpointId, 'open', 'half-open', 'cooldown over');
+
+  repo.flush();
+  repo.flush();
+  assert.strictEqual(countRows(repo, 'request_log'), 0);
+  assert.strictEqual(repo.getWriteBufferStatus().buffered, 3);
+
+  repo.flush();
+  assert.strictEqual(countRows(repo, 'request_log'), 1);
+  assert.strictEqual(countRows(repo, 'circuit_breaker_events'), 1);
+  assert.strictEqual(repo.getWriteBufferStatus().buffered, 0);
+  assert.strictEqual(repo.getWriteBufferStatus().droppedWrites, 1);
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.flush();
+  assert.strictEqual(countRows(repo, 'request_log'), 2);
+});
+
+test('does not flush a full buffer early while flushes fail', async (t) => {
+  const { repo, endpointId } = await createRepository(t, { maxBufferSize: 3, maxFlushAttempts: 10 });
+  const errors = t.mock.method(console, 'error', () => {});
+
+  repo.recordCircuitTransition(endpointId, null, 'open', 'poison');
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  const failedFlushLogs = errors.mock.callCount();
+
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  repo.recordRequest(endpointId, 'eth_call', true, 10);
+  assert.strictEqual(repo.getWriteBufferStatus().buffered, 3);
+  assert.strictEqual(repo.getWriteBufferStatus().droppedWrites, 2);
+  assert.strictEqual(errors.mock.callCount(), failedFlushLogs + 2); // one drop message per write, no flush
+
+  // The oldest writes, the poison row among them, were pushed out
+  repo.flush();
+  assert.strictEqual(countRows(repo, 'request_log'), 3);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SubscriptionManager = require('../src/core/SubscriptionManager');
+
+function createManager(worker = null) {
+  const workers = worker ? [worker] : [];
+  const workerPool = { getAllWorkers: () => workers, getAvailableWorkers: () => workers };
+  const router = { selectWorker: (list) => list[0] || null };
+  const manager = new SubscriptionManager(workerPool, router, { websocket: { pollInterval: 60000, maxBlocksPerPoll: 10 } });
+  return manager;
+}
+
+const client = { send: () => {} };
+const ADDRESS = '0x' + '11'.repeat(20);
+const TOPIC = '0x' + 'aa'.repeat(32);
+
+test('accepts logs filters shaped like eth_getLogs', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = createManager();
+
+  assert.ok(manager.subscribe(client, 'logs'));
+  assert.ok(manager.subscribe(client, 'logs', {}));
+  assert.ok(manager.subscribe(client, 'logs', { address: ADDRESS, topics: [TOPIC, null, [TOPIC, TOPIC]] }));
+  assert.ok(manager.subscribe(client, 'logs', { address: [ADDRESS], topics: [] }));
+  manager.stop();
+});
+
+test('refuses invalid logs filters with an invalid params error', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = createManager();
+  const invalid = [
+    null,
+    'filter',
+    [ADDRESS],
+    { address: 'not an address' },
+    { address: [ADDRESS, 7] },
+    { topics: TOPIC },
+    { topics: [TOPIC, TOPIC, TOPIC, TOPIC, TOPIC] },
+    { topics: ['0x01'] },
+    { topics: [[TOPIC, null]] }
+  ];
+
+  invalid.forEach(filter => {
+    assert.throws(() => manager.subscribe(client, 'logs', filter), { code: 'INVALID_PARAMS', message: /^Invalid logs filter/ }, JSON.stringify(filter));
+  });
+  assert.throws(() => manager.subscribe(client, 'pendingTransactions'), { code: 'INVALID_PARAMS' });
+  assert.strictEqual(manager.topics.size, 0);
+});
+
+test('newHeads notifications carry the block header only', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let head = 100;
+  const block = (number) => ({
+    number: '0x' + number.toString(16),
+    hash: '0x' + number.toString(16).padStart(64, '0'),
+    parentHash: '0x' + (number - 1).toString(16).padStart(64, '0'),
+    transactions: ['0x' + 'ab'.repeat(32)],
+    uncles: [],
+    withdrawals: []
+  });
+  const worker = {
+    name: 'w',
+    headBlock: null,
+    isAvailable: () => true,
+    queueBackgroundRequest: async ({ method, params }) => ({
+      result: method === 'eth_blockNumber' ? '0x' + head.toString(16) : block(parseInt(params[0], 16))
+    })
+  };
+  const manager = createManager(worker);
+  const sent = [];
+  manager.subscribe({ send: message => sent.push(message.params.result) }, 'newHeads');
+  const topic = manager.topics.get('newHeads');
+
+  // Let the first poll, started on subscribe, settle at the current head
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(topic.lastBlock, 100);
+  head = 101;
+  await manager.pollTopic(topic);
+  manager.stop();
+
+  assert.deepStrictEqual(sent, [{
+    number: '0x65',
+    hash: '0x' + '65'.padStart(64, '0'),
+    parentHash: '0x' + '64'.padStart(64, '0')
+  }]);
+});
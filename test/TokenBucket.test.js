@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TokenBucket = require('../src/core/TokenBucket');
+
+test('allows a burst of one second worth of tokens, then asks to wait', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const bucket = new TokenBucket(4);
+
+  for (let i = 0; i < 4; i++) {
+    assert.strictEqual(bucket.tryTake(), 0);
+  }
+  assert.strictEqual(bucket.tryTake(), 250);
+
+  now += 250;
+  assert.strictEqual(bucket.tryTake(), 0);
+  assert.strictEqual(bucket.tryTake(), 250);
+});
+
+test('refills no further than its capacity', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const bucket = new TokenBucket(2, 3);
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(bucket.tryTake(), 0);
+  }
+  now += 60000;
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(bucket.tryTake(), 0);
+  }
+  assert.strictEqual(bucket.tryTake(), 500);
+});
+
+test('does not pace without a rate', () => {
+  const bucket = new TokenBucket(null);
+
+  for (let i = 0; i < 100; i++) {
+    assert.strictEqual(bucket.tryTake(), 0);
+  }
+  bucket.charge(50);
+  assert.strictEqual(bucket.tryTake(), 0);
+});
+
+test('charging extra tokens puts the bucket into debt', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const bucket = new TokenBucket(10);
+
+  assert.strictEqual(bucket.tryTake(), 0);
+  bucket.charge(19); // a batch of 20 items
+  assert.strictEqual(bucket.tryTake(), 1100);
+
+  now += 1100;
+  assert.strictEqual(bucket.tryTake(), 0);
+});
+
+test('setRate changes the rate and refills the bucket', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const bucket = new TokenBucket(1);
+
+  assert.strictEqual(bucket.tryTake(), 0);
+  assert.strictEqual(bucket.tryTake(), 1000);
+
+  bucket.setRate(5);
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(bucket.tryTake(), 0);
+  }
+  assert.strictEqual(bucket.tryTake(), 200);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RequestRouter = require('../src/core/RequestRouter');
+
+function createConfig() {
+  return {
+    cache: { enabled: false, disabledMethods: [] },
+    routing: {
+      strategy: 'shortest-queue',
+      strategyOverrides: [],
+      rules: [],
+      headSensitiveMethods: [],
+      maxBlockLag: 5,
+      maxHoldMs: 0
+    },
+    batch: { enabled: true, minChunkSize: 1 },
+    priority: { classes: ['high', 'normal', 'low'], default: 'normal', rules: [] },
+    broadcast: { enabled: false, methods: [], tags: [] },
+    quorum: { methods: [], size: 3, threshold: 2 },
+    coalescing: { enabled: false, excludeMethods: [] }
+  };
+}
+
+// Answers every item with "<endpoint>:<param>", in reverse order for batches
+function echo(request, worker) {
+  const answer = item => ({ jsonrpc: '2.0', id: item.id, result: `${worker.url}:${item.params[0]}` });
+  return Array.isArray(request) ? request.map(answer).reverse() : answer(request);
+}
+
+function createWorker(url, { maxBatchSize = 100, respond = echo } = {}) {
+  const worker = {
+    url,
+    name: url,
+    sent: [],
+    computeUnits: { getDeferChance: () => 0 },
+    canAccept: () => true,
+    hasTags: () => true,
+    supportsRequest: () => true,
+    getBlockLag: () => 0,
+    getMaxBatchSize: () => maxBatchSize,
+    getQueueLength: () => worker.sent.length,
+    isTemporaryError: error => error.code === 19,
+    queueRequest: async (request) => {
+      worker.sent.push(request);
+      return respond(request, worker);
+    }
+  };
+  return worker;
+}
+
+function createRouter(workers, config = createConfig()) {
+  const workerPool = {
+    chain: { name: 'test' },
+    getAllWorkers: () => workers,
+    getAvailableWorkers: () => workers,
+    getBestHead: () => null
+  };
+  return new RequestRouter(workerPool, {}, config);
+}
+
+function batchOf(count, id = i => i) {
+  return Array.from({ length: count }, (_, i) => ({
+    jsonrpc: '2.0',
+    id: id(i),
+    method: 'eth_getBalance',
+    params: [`p${i}`]
+  }));
+}
+
+test('splits a batch across endpoints and answers in the original order', async () => {
+  const workers = [createWorker('a'), createWorker('b')];
+  const router = createRouter(workers);
+
+  const responses = await router.routeBatch(batchOf(10));
+
+  assert.deepStrictEqual(workers.map(w => w.sent.length), [1, 1]);
+  assert.deepStrictEqual(workers.map(w => w.sent[0].length), [5, 5]);
+  responses.forEach((response, i) => {
+    assert.strictEqual(response.id, i);
+    assert.match(response.result, new RegExp(`:p${i}$`));
+  });
+});
+
+test('keeps duplicate client ids apart', async () => {
+  const router = createRouter([createWorker('a')]);
+
+  const responses = await router.routeBatch(batchOf(4, () => 1));
+
+  assert.deepStrictEqual(responses.map(r => r.id), [1, 1, 1, 1]);
+  assert.deepStrictEqual(responses.map(r => r.result), ['a:p0', 'a:p1', 'a:p2', 'a:p3']);
+});
+
+test('sends chunks no larger than the endpoint allows, a single item as a plain request', async () => {
+  const worker = createWorker('a', { maxBatchSize: 3 });
+  const router = createRouter([worker]);
+
+  const responses = await router.routeBatch(batchOf(7));
+
+  assert.deepStrictEqual(worker.sent.map(sent => (Array.isArray(sent) ? sent.length : 'single')), [3, 3, 'single']);
+  assert.deepStrictEqual(responses.map(r => r.result), batchOf(7).map((_, i) => `a:p${i}`));
+});
+
+test('retries items missing from an answer or temporarily failed on another endpoint', async () => {
+  const flaky = createWorker('a', {
+    respond: (request, worker) => echo(request, worker)
+      .filter(answer => answer.id !== 0)
+      .map(answer => (answer.id === 1 ? { jsonrpc: '2.0', id: 1, error: { code: 19, message: 'Temporary internal error' } } : answer))
+  });
+  const healthy = createWorker('b');
+  const router = createRouter([flaky, healthy]);
+  router.config.batch.minChunkSize = 4;
+
+  // One chunk of 4 goes to the first endpoint with the shortest queue
+  const responses = await router.routeBatch(batchOf(4));
+
+  assert.deepStrictEqual(responses.map(r => r.id), [0, 1, 2, 3]);
+  assert.deepStrictEqual(responses.map(r => r.result), ['b:p0', 'b:p1', 'a:p2', 'a:p3']);
+  assert.deepStrictEqual(healthy.sent.map(sent => sent.length), [2]);
+});
+
+test('routes items no batch served one by one', async () => {
+  const failing = createWorker('a', {
+    respond: (request, worker) => {
+      if (Array.isArray(request)) {
+        const error = new Error('Temporary error');
+        error.code = 'TEMPORARY_ERROR';
+        throw error;
+      }
+      return echo(request, worker);
+    }
+  });
+  const router = createRouter([failing]);
+
+  const responses = await router.routeBatch(batchOf(3));
+
+  // One failed batch, then (with no other endpoint to retry on) one request per item
+  assert.deepStrictEqual(failing.sent.map(sent => Array.isArray(sent)), [true, false, false, false]);
+  assert.deepStrictEqual(responses.map(r => r.result), ['a:p0', 'a:p1', 'a:p2']);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffConfig } = require('../src/config/config');
+const ConfigReloader = require('../src/core/ConfigReloader');
+
+test('lists no changes between equal configs', () => {
+  const config = { server: { port: 8545 }, routing: { rules: [{ methods: ['debug_*'], tags: ['trace'] }] } };
+  assert.deepStrictEqual(diffConfig(config, structuredClone(config)), []);
+});
+
+test('lists changed settings as dotted paths', () => {
+  const previous = { server: { port: 8545, host: '0.0.0.0' }, worker: { requestTimeout: 30000, maxConcurrency: 4 } };
+  const next = { server: { port: 8546, host: '0.0.0.0' }, worker: { requestTimeout: 30000, maxConcurrency: 8 } };
+
+  assert.deepStrictEqual(diffConfig(previous, next), ['server.port', 'worker.maxConcurrency']);
+});
+
+test('lists added and removed settings', () => {
+  const previous = { apiKeys: { keys: { a: { name: 'dapp' } } } };
+  const next = { apiKeys: { keys: { b: { name: 'bot' } } }, admin: { enabled: true } };
+
+  assert.deepStrictEqual(diffConfig(previous, next), ['apiKeys.keys.a', 'apiKeys.keys.b', 'admin']);
+});
+
+test('compares lists as a whole', () => {
+  const previous = { chains: { eth: { endpoints: [{ url: 'http://a' }, { url: 'http://b' }] } } };
+  const next = { chains: { eth: { endpoints: [{ url: 'http://a' }, { url: 'http://c' }] } } };
+
+  assert.deepStrictEqual(diffConfig(previous, next), ['chains.eth.endpoints']);
+});
+
+test('settings read only at startup require a restart', () => {
+  ['server.port', 'database.path', 'admin.token', 'hotReload.enabled', 'websocket.enabled'].forEach(key => {
+    assert.strictEqual(ConfigReloader.requiresRestart(key), true, key);
+  });
+});
+
+test('chain endpoint lists apply live, other chain changes require a restart', () => {
+  assert.strictEqual(ConfigReloader.requiresRestart('chains.eth.endpoints'), false);
+  assert.strictEqual(ConfigReloader.requiresRestart('chains.eth.path'), true);
+  assert.strictEqual(ConfigReloader.requiresRestart('chains.eth.chainId'), true);
+  assert.strictEqual(ConfigReloader.requiresRestart('chains.polygon'), true);
+});
+
+test('other settings apply live', () => {
+  ['worker.maxConcurrency', 'routing.rules', 'rateBudget.increaseStep', 'websocket.pollInterval', 'apiKeys.keys.a'].forEach(key => {
+    assert.strictEqual(ConfigReloader.requiresRestart(key), false, key);
+  });
+});
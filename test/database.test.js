@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const initSqlJs = require('sql.js');
+const DatabaseManager = require('../src/database/database');
+const StatisticsRepository = require('../src/database/StatisticsRepository');
+
+test('rebuilds an endpoints table with globally unique URLs, keeping its rows', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  // endpoints as shipped before multi-chain support
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(`
+    CREATE TABLE endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT UNIQUE NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run("INSERT INTO endpoints (id, url, is_active) VALUES (4, 'http://shared', 0), (7, 'http://other', 1)");
+
+  const dbManager = new DatabaseManager({ path: 'unused.db' });
+  dbManager.db = db;
+  dbManager.runMigrations();
+
+  assert.doesNotMatch(dbManager.getTableSql('endpoints'), /UNIQUE/);
+  assert.deepStrictEqual(
+    db.exec('SELECT id, url, is_active, chain, source FROM endpoints ORDER BY id')[0].values,
+    [[4, 'http://shared', 0, null, 'config'], [7, 'http://other', 1, null, 'config']]
+  );
+
+  // The old record goes to the first chain asking for it; another chain gets its own
+  const repo = new StatisticsRepository(db, dbManager, { statistics: {} });
+  assert.strictEqual(repo.ensureEndpoint('http://shared', 'mainnet'), 4);
+  assert.strictEqual(repo.ensureEndpoint('http://shared', 'polygon'), 8);
+  assert.strictEqual(repo.ensureEndpoint('http://shared', 'mainnet'), 4);
+
+  // Migrating again changes nothing
+  dbManager.runMigrations();
+  assert.strictEqual(db.exec('SELECT COUNT(*) FROM endpoints')[0].values[0][0], 3);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getQuorumKey, groupQuorumAnswers } = require('../src/utils/rpc');
+
+function answers(...keys) {
+  return keys.map((key, i) => ({ worker: `endpoint-${i}`, key }));
+}
+
+const workers = list => list.map(answer => answer.worker);
+
+test('answers differing only in key order or hex case agree', () => {
+  const a = getQuorumKey({ jsonrpc: '2.0', id: 1, result: { hash: '0xABcd', number: '0x1' } });
+  const b = getQuorumKey({ jsonrpc: '2.0', id: 7, result: { number: '0x1', hash: '0xabcd' } });
+  assert.strictEqual(a, b);
+
+  assert.notStrictEqual(getQuorumKey({ result: '0x1' }), getQuorumKey({ result: '0x2' }));
+  assert.notStrictEqual(getQuorumKey({ result: 'Text' }), getQuorumKey({ result: 'text' }));
+});
+
+test('errors are compared by code and message only', () => {
+  const a = getQuorumKey({ error: { code: 3, message: 'execution reverted', data: '0x01' } });
+  const b = getQuorumKey({ error: { code: 3, message: 'execution reverted', data: '0x02' } });
+  assert.strictEqual(a, b);
+
+  assert.notStrictEqual(a, getQuorumKey({ error: { code: -32000, message: 'execution reverted' } }));
+  assert.notStrictEqual(getQuorumKey({ result: null }), getQuorumKey({ error: { code: 3, message: 'x' } }));
+});
+
+test('no dissenters when every answer agrees', () => {
+  const { sizes, dissenters } = groupQuorumAnswers(answers('a', 'a', 'a'));
+
+  assert.deepStrictEqual(sizes, [3]);
+  assert.deepStrictEqual(dissenters, []);
+});
+
+test('answers outside the largest group dissent', () => {
+  const list = answers('a', 'b', 'a', 'c', 'a');
+  const { sizes, dissenters } = groupQuorumAnswers(list);
+
+  assert.deepStrictEqual(sizes, [3, 1, 1]);
+  assert.deepStrictEqual(workers(dissenters), ['endpoint-1', 'endpoint-3']);
+});
+
+test('every answer dissents when the largest groups tie', () => {
+  const list = answers('a', 'b', 'b', 'a', 'c');
+  const { sizes, dissenters } = groupQuorumAnswers(list);
+
+  assert.deepStrictEqual(sizes, [2, 2, 1]);
+  assert.deepStrictEqual(dissenters, list);
+});
+
+test('handles no answers', () => {
+  assert.deepStrictEqual(groupQuorumAnswers([]), { sizes: [], dissenters: [] });
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { STRATEGIES, createStrategy } = require('../src/core/strategies');
+
+function worker(url, { weight = 1, queue = 0, outstanding = 0, latency = null, errorRate = 0 } = {}) {
+  return {
+    url,
+    weight,
+    latencyEwma: latency,
+    errorRateEwma: errorRate,
+    getQueueLength: () => queue,
+    getOutstanding: () => outstanding
+  };
+}
+
+function countSelections(strategy, workers, rounds) {
+  const counts = Object.fromEntries(workers.map(w => [w.url, 0]));
+  for (let i = 0; i < rounds; i++) {
+    counts[strategy.select(workers).url]++;
+  }
+  return counts;
+}
+
+test('creates every strategy by name and rejects unknown names', () => {
+  Object.keys(STRATEGIES).forEach(name => {
+    assert.strictEqual(createStrategy(name).name, name);
+  });
+  assert.throws(() => createStrategy('random'), /Unknown load-balancing strategy: random/);
+});
+
+test('shortest-queue picks the shortest queue, the first one on ties', () => {
+  const strategy = createStrategy('shortest-queue');
+  const a = worker('a', { queue: 3 });
+  const b = worker('b', { queue: 1 });
+  const c = worker('c', { queue: 1 });
+
+  assert.strictEqual(strategy.select([a, b, c]), b);
+});
+
+test('weighted-round-robin follows the weights, interleaved', () => {
+  const strategy = createStrategy('weighted-round-robin');
+  const a = worker('a', { weight: 3 });
+  const b = worker('b', { weight: 1 });
+
+  const order = Array.from({ length: 8 }, () => strategy.select([a, b]).url);
+  assert.deepStrictEqual(order, ['a', 'a', 'b', 'a', 'a', 'a', 'b', 'a']);
+});
+
+test('latency-ewma prefers unmeasured, then faster workers, then shorter queues', () => {
+  const strategy = createStrategy('latency-ewma');
+  const slow = worker('slow', { latency: 300 });
+  const fast = worker('fast', { latency: 50, queue: 4 });
+  const fastIdle = worker('fast-idle', { latency: 50 });
+  const fresh = worker('fresh');
+
+  assert.strictEqual(strategy.select([slow, fast, fastIdle]), fastIdle);
+  assert.strictEqual(strategy.select([slow, fast, fresh]), fresh);
+});
+
+test('power-of-two picks the less loaded of two samples', () => {
+  const strategy = createStrategy('power-of-two');
+  const busy = worker('busy', { outstanding: 5 });
+  const idle = worker('idle', { outstanding: 0 });
+
+  assert.strictEqual(strategy.select([busy]), busy);
+  assert.deepStrictEqual(countSelections(strategy, [busy, idle], 20), { busy: 0, idle: 20 });
+});
+
+test('power-of-two never picks the most loaded of three', () => {
+  const strategy = createStrategy('power-of-two');
+  const workers = [worker('a', { outstanding: 0 }), worker('b', { outstanding: 1 }), worker('c', { outstanding: 9 })];
+
+  assert.strictEqual(countSelections(strategy, workers, 50).c, 0);
+});
+
+test('least-outstanding weighs load by latency, errors and weight', () => {
+  const strategy = createStrategy('least-outstanding');
+
+  // 2 outstanding at 50ms beats 0 outstanding at 400ms
+  const fastBusy = worker('fast-busy', { outstanding: 2, latency: 50 });
+  const slowIdle = worker('slow-idle', { latency: 400 });
+  assert.strictEqual(strategy.select([slowIdle, fastBusy]), fastBusy);
+
+  // A failing endpoint costs more
+  const failing = worker('failing', { latency: 50, errorRate: 0.9 });
+  const healthy = worker('healthy', { latency: 60 });
+  assert.strictEqual(strategy.select([failing, healthy]), healthy);
+
+  // A heavier endpoint takes more load
+  const heavy = worker('heavy', { outstanding: 3, latency: 100, weight: 5 });
+  const light = worker('light', { outstanding: 1, latency: 100 });
+  assert.strictEqual(strategy.select([light, heavy]), heavy);
+});